@@ -104,7 +104,9 @@ async function uploadSampleModel() {
     }, {
       timeout: 30000,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        // A key with the write scope
+        ...(process.env.API_KEY ? { 'X-API-Key': process.env.API_KEY } : {})
       }
     });
     
@@ -1,17 +1,85 @@
 const express = require('express');
 const cors = require('cors');
+const Busboy = require('busboy');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES || String(10 * 1024 * 1024 * 1024));
+
+// Import IPFS service
+const ipfsService = require('./services/ipfs');
+const authService = require('./services/auth');
+const projectService = require('./services/projects');
+const encryptionService = require('./services/encryption');
+const schemaService = require('./services/schemas');
+const modelComparisonService = require('./services/comparison');
+const leaderboardService = require('./services/leaderboard');
+const modelCatalog = require('./services/catalog');
+const { parseQuery, matches, sortValue, facetCounts } = require('./services/query');
+const { paginate } = require('./services/cursor');
+const { ServiceError } = require('./services/errors');
+const modelRegistry = require('./services/registry');
+const trashService = require('./services/trash');
+const retentionService = require('./services/retention');
+const modelPackageService = require('./services/packages');
+const cidCache = require('./services/cache');
+const gatewayPool = require('./services/gateways');
+const { detectFormat } = require('./services/formats');
+const eventBus = require('./services/events');
+const webhookService = require('./services/webhooks');
+const auditLog = require('./services/audit');
+const signingService = require('./services/signing');
+const modelCardService = require('./services/modelCards');
+
+// Behind a load balancer, TRUST_PROXY (e.g. 1 for one hop) makes req.ip the
+// client's address instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 // Middleware
-app.use(cors());
+app.use(cors(authService.corsOptions()));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(auditLog.middleware());
 
-// Import IPFS service
-const ipfsService = require('./services/ipfs');
+// Every route except /health requires an API key with one of these scopes
+const requireRead = authService.requireScope('read');
+const requireWrite = authService.requireScope('write');
+const requireAdmin = authService.requireScope('admin');
+
+// Admin keys that belong to a project can't manage service-wide settings
+const requireGlobalAdmin = [requireAdmin, (req, res, next) => {
+  if (req.principal.project === null) return next();
+  res.status(403).json({
+    success: false,
+    error: 'This endpoint requires an admin key that is not bound to a project'
+  });
+}];
+
+// Upload routes publish their progress and outcome under an upload id. Clients
+// that want to follow one upload pick the id (X-Upload-Id) and subscribe to
+// /api/events/stream?upload=<id> before sending it; otherwise one is made up.
+const UPLOAD_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+function assignUploadId(req, res, next) {
+  const uploadId = req.get('x-upload-id') || `upl_${crypto.randomBytes(8).toString('hex')}`;
+  if (!UPLOAD_ID_PATTERN.test(uploadId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'X-Upload-Id may only contain letters, digits, ".", "_" and "-" (at most 64)'
+    });
+  }
+
+  req.uploadId = uploadId;
+  res.set('X-Upload-Id', uploadId);
+  next();
+}
 
 // ============================================
 // HELPER FUNCTIONS (Move to top)
@@ -29,31 +97,75 @@ function formatBytes(bytes, decimals = 2) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 }
 
-function sortModels(models, sortBy, order) {
-  const sorted = [...models].sort((a, b) => {
-    let comparison = 0;
-    
-    switch (sortBy) {
-      case 'date':
-        comparison = new Date(b.uploadedAt) - new Date(a.uploadedAt);
-        break;
-      case 'name':
-        comparison = a.name.localeCompare(b.name);
-        break;
-      case 'accuracy':
-        comparison = b.accuracy - a.accuracy;
-        break;
-      case 'size':
-        comparison = b.size - a.size;
-        break;
-      default:
-        comparison = new Date(b.uploadedAt) - new Date(a.uploadedAt);
-    }
-    
-    return order === 'asc' ? -comparison : comparison;
-  });
-  
-  return sorted;
+// Sort value of a listed model: date (default), name, accuracy or size
+function modelSortValue(model, sortBy) {
+  switch (sortBy) {
+    case 'name':
+      return model.name || null;
+    case 'accuracy':
+      return model.accuracy;
+    case 'size':
+      return model.size ?? null;
+    default:
+      return model.uploadedAt ? new Date(model.uploadedAt).getTime() : null;
+  }
+}
+
+// model.stored for a finished upload. `route` tells subscribers which
+// endpoint stored it.
+function publishStored(req, route, ipfsResult, details = {}) {
+  eventBus.publish('model.stored', {
+    route,
+    uploadId: req.uploadId,
+    ipfsHash: ipfsResult.ipfsHash,
+    size: ipfsResult.pinSize ?? null,
+    encrypted: !!ipfsResult.encryption,
+    ...details,
+    storedBy: req.principal.name
+  }, { project: req.project || projectService.defaultProject });
+}
+
+// upload.failed when storing failed on our side or the provider's; rejected
+// requests (4xx) are only reported to the caller
+function publishUploadFailure(req, route, error, details = {}) {
+  if (error.status && error.status < 500) return;
+
+  eventBus.publish('upload.failed', {
+    route,
+    uploadId: req.uploadId,
+    error: error.message,
+    ...details,
+    uploadedBy: req.principal.name
+  }, { project: req.project || projectService.defaultProject });
+}
+
+// The pin of a CID the caller wants to use with `scope`. CIDs pinned in a
+// project the caller has no such access to are reported as not found; CIDs
+// that aren't pinned here belong to no project and pass.
+async function checkPinAccess(req, hash, scope = 'read') {
+  const pin = await ipfsService.index.lookup(hash);
+  if (pin && !projectService.canAccess(req.principal.project ?? null, projectService.projectOf(pin), scope)) {
+    throw new ServiceError(`${hash} not found`, 404);
+  }
+  return pin;
+}
+
+// Provenance of a package before it is served. Strict consumers (see
+// SigningService.isStrict) get a 403 instead of an unverified package.
+function checkProvenance(req, res, hash) {
+  const provenance = signingService.verify(hash, { pin: ipfsService.index.get(hash) });
+  res.set('X-Provenance-Status', provenance.status);
+  signingService.assertServable(provenance, signingService.isStrict(req));
+  return provenance;
+}
+
+// json | markdown | html for the report routes, from ?format= or the Accept
+// header; null for anything else
+function reportFormat(req) {
+  const format = req.query.format ||
+    ({ 'text/html': 'html', 'text/markdown': 'markdown' })[req.accepts(['application/json', 'text/html', 'text/markdown'])] ||
+    'json';
+  return ['json', 'markdown', 'html'].includes(format) ? format : null;
 }
 
 // ============================================
@@ -72,7 +184,7 @@ app.get('/health', (req, res) => {
 });
 
 // Get service info
-app.get('/api/info', (req, res) => {
+app.get('/api/info', requireRead, (req, res) => {
   res.json({
     success: true,
     data: {
@@ -82,22 +194,76 @@ app.get('/api/info', (req, res) => {
         health: 'GET /health',
         uploadModel: 'POST /api/ipfs/upload-model',
         getModel: 'GET /api/ipfs/model/:hash',
+        download: 'GET /api/ipfs/download/:hash[/path] (Range, ETag)',
         storeTFModel: 'POST /api/ml/store-model',
         getTFModel: 'GET /api/ml/get-model/:hash',
         listModels: 'GET /api/ml/list-models',
         modelDetails: 'GET /api/ml/model-details/:hash',
-        searchModels: 'GET /api/ml/search-models',
+        modelComponent: 'GET /api/ml/model/:hash/component/:component',
+        modelFile: 'GET /api/ml/model/:hash/files/*',
+        modelProvenance: 'GET /api/ml/model/:hash/provenance',
+        modelCard: 'GET /api/ml/model/:hash/card (json | markdown | html)',
+        pinModelCard: 'POST /api/ml/model/:hash/card/pin',
+        compareModels: 'GET /api/ml/compare/:baseHash/:candidateHash (json | markdown | html)',
+        leaderboard: 'GET /api/ml/leaderboard?metric=',
+        searchModels: 'GET /api/ml/search-models?q=',
         statistics: 'GET /api/ml/statistics',
+        schemas: 'GET /api/schemas',
+        schema: 'GET /api/schemas/:name',
+        deleteModel: 'DELETE /api/ml/models/:hash',
+        restoreModel: 'POST /api/ml/models/:hash/restore',
+        purgeModel: 'DELETE /api/ml/models/:hash/purge',
+        listTrash: 'GET /api/ml/trash',
+        purgeExpired: 'POST /api/ml/trash/purge-expired',
+        registryModels: 'GET /api/registry/models',
+        registerVersion: 'POST /api/registry/models/:name/versions',
+        listVersions: 'GET /api/registry/models/:name/versions',
+        getVersion: 'GET /api/registry/models/:name/versions/:version',
+        setStage: 'POST /api/registry/models/:name/versions/:version/stage',
+        resolveModel: 'GET /api/registry/resolve/:ref',
+        uploadFile: 'POST /api/ipfs/upload-file (multipart/form-data)',
+        retentionRules: 'GET|POST /api/retention/rules',
+        retentionRule: 'PUT|DELETE /api/retention/rules/:id',
+        retentionDryRun: 'GET /api/retention/dry-run',
+        retentionRun: 'POST /api/retention/run',
+        cache: 'GET|DELETE /api/cache',
+        cachePrewarm: 'POST /api/cache/prewarm',
+        cacheEvict: 'DELETE /api/cache/:cid',
+        gateways: 'GET /api/ipfs/gateways',
+        resetGateway: 'POST /api/ipfs/gateways/:name/reset',
+        pinIndex: 'GET /api/ipfs/index',
+        syncPinIndex: 'POST /api/ipfs/index/sync',
+        whoami: 'GET /api/auth/whoami',
+        apiKeys: 'GET|POST /api/auth/keys',
+        revokeApiKey: 'DELETE /api/auth/keys/:id',
+        projects: 'GET|POST /api/projects',
+        project: 'GET /api/projects/:name',
+        projectGrant: 'PUT|DELETE /api/projects/:name/grants/:grantee',
+        auditLog: 'GET /api/audit',
+        verifyAuditLog: 'GET /api/audit/verify',
+        auditCheckpoints: 'GET|POST /api/audit/checkpoints',
+        eventStream: 'GET /api/events/stream?upload=&types= (text/event-stream)',
+        webhooks: 'GET|POST /api/webhooks',
+        deleteWebhook: 'DELETE /api/webhooks/:id',
+        webhookDeliveries: 'GET /api/webhooks/:id/deliveries',
+        webhookDeadLetters: 'GET /api/webhooks/dead-letters',
+        redeliverWebhook: 'POST /api/webhooks/deliveries/:id/redeliver',
+        encryptionKeys: 'GET|POST /api/encryption/keys',
+        deleteEncryptionKey: 'DELETE /api/encryption/keys/:id',
+        rotateEncryption: 'POST /api/encryption/rotate',
+        signingKeys: 'GET|POST /api/signing/keys',
+        revokeSigningKey: 'DELETE /api/signing/keys/:id',
         testConnection: 'GET /api/ipfs/test'
       },
       supportedModels: ['TFT', 'Generic ML Models'],
-      storage: 'IPFS via Pinata'
+      storage: `IPFS via ${ipfsService.provider.label}`,
+      authentication: authService.enabled ? 'API key (read | write | admin)' : 'disabled'
     }
   });
 });
 
 // Test IPFS connection
-app.get('/api/ipfs/test', async (req, res) => {
+app.get('/api/ipfs/test', requireRead, async (req, res) => {
   try {
     const testResult = await ipfsService.testConnection();
     res.json({
@@ -117,12 +283,15 @@ app.get('/api/ipfs/test', async (req, res) => {
 // ============================================
 
 // List all stored models - MOVED UP BEFORE PARAMETERIZED ROUTES
-// List all stored models - with pinned and unpinned support
-app.get('/api/ml/list-models', async (req, res) => {
+// List all stored models - with pinned and unpinned support. Pages follow
+// the pagination.next / pagination.prev cursors (?cursor=), which stay
+// consistent while models are added; offset still works without a cursor.
+app.get('/api/ml/list-models', requireRead, async (req, res) => {
   try {
     const { 
       limit = 100, 
       offset = 0,
+      cursor,
       sortBy = 'date',
       order = 'desc',
       includeUnpinned = 'false',
@@ -132,12 +301,12 @@ app.get('/api/ml/list-models', async (req, res) => {
     console.log('📋 Fetching list of stored models...');
     console.log(`   Limit: ${limit}, Offset: ${offset}, Sort: ${sortBy} ${order}, Include Unpinned: ${includeUnpinned}, Status: ${status}`);
     
-    // Get files based on status filter
+    // Get files based on status filter; the whole listing, so totals are exact
     let filesResult;
     if (status === 'all' || includeUnpinned === 'true') {
-      filesResult = await ipfsService.listAllFiles(parseInt(limit) * 3);
+      filesResult = await ipfsService.listAllFiles(Infinity);
     } else {
-      filesResult = await ipfsService.listPinnedFiles(parseInt(limit) * 3, status);
+      filesResult = await ipfsService.listPinnedFiles(Infinity, status);
     }
     
     console.log('📦 Files response:', {
@@ -155,8 +324,11 @@ app.get('/api/ml/list-models', async (req, res) => {
       });
     }
 
-    // Filter and format model data - include all files for transparency
-    const models = filesResult.rows
+    // Filter and format model data - include all files for transparency,
+    // except models that were deleted and are waiting in the trash
+    const trashed = trashService.trashedHashes();
+    const models = projectService.filterFiles(filesResult.rows, req.project)
+      .filter(file => !trashed.has(file.ipfs_pin_hash))
       .map(file => {
         const metadata = file.metadata?.keyvalues || {};
         const name = file.name || '';
@@ -173,6 +345,7 @@ app.get('/api/ml/list-models', async (req, res) => {
           modelId: file.ipfs_pin_hash,
           ipfsHash: file.ipfs_pin_hash,
           name: file.name,
+          project: projectService.projectOf(file),
           modelType: metadata.modelType || (isMLModel ? 'ml-model' : 'unknown'),
           version: metadata.version || '1.0.0',
           accuracy: parseFloat(metadata.accuracy || 0),
@@ -184,23 +357,22 @@ app.get('/api/ml/list-models', async (req, res) => {
           publicUrl: `https://ipfs.io/ipfs/${file.ipfs_pin_hash}`,
           metadata: metadata,
           isMLModel: isMLModel,
-          gateways: {
-            pinata: `https://gateway.pinata.cloud/ipfs/${file.ipfs_pin_hash}`,
-            ipfsIo: `https://ipfs.io/ipfs/${file.ipfs_pin_hash}`,
-            cloudflare: `https://cloudflare-ipfs.com/ipfs/${file.ipfs_pin_hash}`
-          }
+          gateways: ipfsService.getGateways(file.ipfs_pin_hash)
         };
       });
 
     console.log(`✅ Processed ${models.length} files, ${models.filter(m => m.isMLModel).length} identified as ML models`);
 
-    // Sort models
-    const sortedModels = sortModels(models, sortBy, order);
-
-    // Apply pagination
-    const startIndex = parseInt(offset);
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedModels = sortedModels.slice(startIndex, endIndex);
+    // Sort and paginate models
+    const sort = ['date', 'name', 'accuracy', 'size'].includes(sortBy) ? sortBy : 'date';
+    const { items: paginatedModels, pagination } = paginate(models, {
+      keyOf: model => ({ value: modelSortValue(model, sort), cid: model.ipfsHash }),
+      sort,
+      order: order === 'asc' ? 'asc' : 'desc',
+      limit: Math.max(1, parseInt(limit) || 100),
+      offset: parseInt(offset) || 0,
+      cursor
+    });
 
     // Calculate statistics
     const mlModels = models.filter(m => m.isMLModel);
@@ -211,18 +383,13 @@ app.get('/api/ml/list-models', async (req, res) => {
       success: true,
       data: {
         models: paginatedModels,
-        pagination: {
-          total: models.length,
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          returned: paginatedModels.length,
-          hasMore: endIndex < models.length
-        },
+        pagination,
         summary: {
           totalFiles: models.length,
           mlModels: mlModels.length,
           pinnedFiles: pinnedModels.length,
           unpinnedFiles: unpinnedModels.length,
+          trashedFiles: trashService.list({ project: req.project }).length,
           totalSize: models.reduce((sum, m) => sum + m.size, 0),
           totalSizeFormatted: formatBytes(models.reduce((sum, m) => sum + m.size, 0)),
           modelTypes: [...new Set(mlModels.map(m => m.modelType))],
@@ -231,6 +398,7 @@ app.get('/api/ml/list-models', async (req, res) => {
             : 0
         },
         filters: {
+          project: req.project,
           status: status,
           includeUnpinned: includeUnpinned === 'true',
           sortBy: sortBy,
@@ -242,7 +410,7 @@ app.get('/api/ml/list-models', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error listing models:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message,
       stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -251,11 +419,11 @@ app.get('/api/ml/list-models', async (req, res) => {
 });
 
 // Get comprehensive file status and statistics
-app.get('/api/ml/file-status', async (req, res) => {
+app.get('/api/ml/file-status', requireRead, async (req, res) => {
   try {
     console.log('📊 Getting comprehensive file status...');
     
-    const allFiles = await ipfsService.listAllFiles(1000);
+    const allFiles = await ipfsService.listAllFiles(Infinity);
     
     if (!allFiles.success) {
       return res.status(500).json({
@@ -264,9 +432,10 @@ app.get('/api/ml/file-status', async (req, res) => {
       });
     }
 
-    const files = allFiles.rows;
+    const files = projectService.filterFiles(allFiles.rows, req.project);
     
     const status = {
+      project: req.project,
       totalFiles: files.length,
       pinned: files.filter(f => f.status === 'pinned').length,
       unpinned: files.filter(f => f.status === 'unpinned').length,
@@ -322,11 +491,11 @@ app.get('/api/ml/file-status', async (req, res) => {
 });
 
 // Get model statistics
-app.get('/api/ml/statistics', async (req, res) => {
+app.get('/api/ml/statistics', requireRead, async (req, res) => {
   try {
     console.log('📊 Calculating model statistics...');
     
-    const pinnedFiles = await ipfsService.listPinnedFiles(1000);
+    const pinnedFiles = await ipfsService.listPinnedFiles(Infinity);
     
     if (!pinnedFiles.success) {
       return res.status(500).json({
@@ -335,13 +504,16 @@ app.get('/api/ml/statistics', async (req, res) => {
       });
     }
 
-    const models = pinnedFiles.rows.filter(file => {
+    const trashed = trashService.trashedHashes();
+    const models = projectService.filterFiles(pinnedFiles.rows, req.project).filter(file => {
+      if (trashed.has(file.ipfs_pin_hash)) return false;
       return file.metadata?.keyvalues?.type === 'ml-model' || 
              file.metadata?.keyvalues?.modelType === 'temporal_fusion_transformer' ||
              file.name?.includes('model');
     });
 
     const stats = {
+      project: req.project,
       totalModels: models.length,
       totalStorage: models.reduce((sum, m) => sum + m.size, 0),
       totalStorageFormatted: formatBytes(models.reduce((sum, m) => sum + m.size, 0)),
@@ -438,53 +610,50 @@ app.get('/api/ml/statistics', async (req, res) => {
   }
 });
 
-// Search models by criteria
-app.get('/api/ml/search-models', async (req, res) => {
+// Search models by criteria across every model in the project. q is a query
+// expression over any field, keyvalue or metric, e.g.
+// q=metrics.recall>=0.8 AND tags:seasonal AND framework=pytorch
+// (see services/query.js). sort is any field (default uploadedAt), facets a
+// comma-separated list of fields to count values of. The older query,
+// modelType, minAccuracy, maxAccuracy, fromDate and toDate filters still apply.
+// Pages follow the pagination.next / pagination.prev cursors (?cursor=).
+app.get('/api/ml/search-models', requireRead, async (req, res) => {
   try {
     const { 
+      q,
       query,
       modelType,
       minAccuracy,
       maxAccuracy,
       fromDate,
       toDate,
-      limit = 50
+      sort = 'uploadedAt',
+      order = 'desc',
+      facets = 'modelType,framework,stages',
+      limit = 50,
+      offset = 0,
+      cursor
     } = req.query;
 
-    console.log('🔍 Searching models with criteria...');
-    
-    const pinnedFiles = await ipfsService.listPinnedFiles(parseInt(limit) * 2);
-    
-    if (!pinnedFiles.success) {
-      return res.status(500).json({
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
         success: false,
-        error: 'Failed to search models'
+        error: 'order must be asc or desc'
       });
     }
 
-    let models = pinnedFiles.rows
-      .filter(file => {
-        return file.metadata?.keyvalues?.type === 'ml-model' || 
-               file.metadata?.keyvalues?.modelType === 'temporal_fusion_transformer' ||
-               file.name?.includes('model');
-      })
-      .map(file => ({
-        modelId: file.ipfsHash,
-        ipfsHash: file.ipfsHash,
-        name: file.name,
-        modelType: file.metadata?.keyvalues?.modelType || 'unknown',
-        version: file.metadata?.keyvalues?.version || '1.0.0',
-        accuracy: parseFloat(file.metadata?.keyvalues?.accuracy || 0),
-        uploadedAt: file.timestamp,
-        ipfsUrl: `https://gateway.pinata.cloud/ipfs/${file.ipfsHash}`,
-        metadata: file.metadata?.keyvalues || {}
-      }));
+    console.log('🔍 Searching models with criteria...');
+    const expression = parseQuery(q || '');
+
+    let models = (await modelCatalog.documents({ project: req.project }))
+      .filter(document => matches(expression, document));
 
     // Apply filters
     if (query) {
       const searchQuery = query.toLowerCase();
       models = models.filter(m => 
-        m.name.toLowerCase().includes(searchQuery) ||
+        (m.name || '').toLowerCase().includes(searchQuery) ||
+        m.description.toLowerCase().includes(searchQuery) ||
         m.modelType.toLowerCase().includes(searchQuery) ||
         m.version.includes(searchQuery)
       );
@@ -512,84 +681,92 @@ app.get('/api/ml/search-models', async (req, res) => {
       models = models.filter(m => new Date(m.uploadedAt) <= to);
     }
 
-    models = models.slice(0, parseInt(limit));
+    const facetFields = String(facets).split(',').map(field => field.trim()).filter(Boolean);
+    const facetResults = Object.fromEntries(facetFields.map(field => [field, facetCounts(models, field)]));
+
+    const { items: page, pagination } = paginate(models, {
+      keyOf: model => ({ value: sortValue(model, sort), cid: model.ipfsHash }),
+      sort,
+      order,
+      limit: Math.max(1, parseInt(limit) || 50),
+      offset: parseInt(offset) || 0,
+      cursor
+    });
 
-    console.log(`✅ Search returned ${models.length} models`);
+    console.log(`✅ Search matched ${models.length} models`);
 
     res.json({
       success: true,
       data: {
-        models: models,
-        count: models.length,
+        models: page.map(({ keyvalues, summaryError, ...model }) => ({
+          modelId: model.ipfsHash,
+          ...model,
+          ipfsUrl: `https://gateway.pinata.cloud/ipfs/${model.ipfsHash}`,
+          metadata: keyvalues,
+          packageMetadata: model.metadata,
+          summaryError
+        })),
+        count: page.length,
+        total: models.length,
+        pagination,
+        facets: facetResults,
         searchCriteria: {
+          project: req.project,
+          q,
           query,
           modelType,
           minAccuracy,
           maxAccuracy,
           fromDate,
-          toDate
+          toDate,
+          sort,
+          order
         }
       },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('❌ Error searching models:', error);
-    res.status(500).json({
+    console.error('❌ Error searching models:', error.message);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Store TFT model with metadata
-app.post('/api/ml/store-model', async (req, res) => {
+// Store TFT model with metadata. The package is stored as a directory with
+// one file per component (manifest.json, weights/, metrics.json, shap.json, ...).
+// encrypt: true (or ENCRYPT_UPLOADS=true) seals every file before pinning.
+// The body must match the tft-model-package schema (see GET /api/schemas).
+// ?card=true (or MODEL_CARDS_PIN=true) also pins the model's card; ?card=false
+// skips it. A card that fails to pin is reported but does not fail the store.
+app.post('/api/ml/store-model', requireWrite, assignUploadId, async (req, res) => {
   try {
-    const { 
-      model_data,
-      model_weights,
-      performance_metrics,
-      shap_analysis,
-      model_metadata 
-    } = req.body;
-
     console.log('🧠 Storing TFT model on IPFS...');
 
-    const modelPackage = {
-      type: 'tft_churn_model',
-      version: model_metadata?.version || '1.0.0',
-      modelName: model_metadata?.modelName || 'retail-churn-tft',
-      timestamp: new Date().toISOString(),
-      
-      model_weights: model_weights,
-      model_data: model_data,
-      
-      performance_metrics: performance_metrics || {},
-      shap_analysis: shap_analysis || {},
-      
-      metadata: model_metadata || {},
-      
-      storage: {
-        hasWeights: !!model_weights,
-        weightsSize: model_weights ? model_weights.length : 0,
-        storedAt: new Date().toISOString(),
-        service: 'retail-ml-ipfs-service'
-      }
-    };
-
-    const ipfsResult = await ipfsService.uploadToIPFS(
-      JSON.stringify(modelPackage, null, 2),
-      {
-        modelName: model_metadata?.modelName || 'retail-churn-tft',
-        version: model_metadata?.version || '1.0.0',
-        accuracy: performance_metrics?.accuracy || 0,
-        modelType: 'temporal_fusion_transformer',
-        timestamp: new Date().toISOString(),
-        hasWeights: !!model_weights
-      }
-    );
+    const ipfsResult = await modelPackageService.storeTFTModel(req.body, {
+      project: req.project || projectService.defaultProject,
+      encrypt: encryptionService.shouldEncrypt(req.body.encrypt),
+      uploadId: req.uploadId
+    });
 
     console.log('✅ TFT Model stored on IPFS:', ipfsResult.ipfsHash);
+    publishStored(req, 'store-model', ipfsResult, {
+      name: ipfsResult.manifest.modelName,
+      layout: 'directory',
+      schema: ipfsResult.manifest.schema
+    });
+
+    let card = null;
+    if (req.query.card !== undefined ? req.query.card === 'true' : modelCardService.pinOnStore) {
+      try {
+        card = (await modelCardService.pin(ipfsResult.ipfsHash, { pinnedBy: req.principal.name })).pinned;
+      } catch (error) {
+        console.error(`❌ Failed to pin the model card of ${ipfsResult.ipfsHash}:`, error.message);
+        card = { error: error.message };
+      }
+    }
 
     res.json({
       success: true,
@@ -597,23 +774,33 @@ app.post('/api/ml/store-model', async (req, res) => {
         modelId: ipfsResult.ipfsHash,
         ipfsHash: ipfsResult.ipfsHash,
         ipfsUrl: ipfsResult.ipfsUrl,
+        project: req.project || projectService.defaultProject,
         timestamp: new Date().toISOString(),
-        hasWeights: !!model_weights,
+        hasWeights: ipfsResult.manifest.storage.hasWeights,
+        layout: 'directory',
+        files: ipfsResult.files,
+        encryption: ipfsResult.encryption,
+        schema: ipfsResult.manifest.schema,
+        provenance: ipfsResult.provenance,
+        card: card,
         message: 'TFT model stored successfully on IPFS'
       }
     });
 
   } catch (error) {
-    console.error('❌ Error storing TFT model:', error);
-    res.status(500).json({
+    console.error('❌ Error storing TFT model:', error.message);
+    publishUploadFailure(req, 'store-model', error, { name: req.body?.model_metadata?.modelName || null });
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...error.details
     });
   }
 });
 
-// Get specific model details with full metadata
-app.get('/api/ml/model-details/:hash', async (req, res) => {
+// Get specific model details with full metadata. For directory packages this
+// is the manifest; the components themselves are not downloaded.
+app.get('/api/ml/model-details/:hash', requireRead, async (req, res) => {
   try {
     const { hash } = req.params;
     
@@ -625,10 +812,23 @@ app.get('/api/ml/model-details/:hash', async (req, res) => {
     }
 
     console.log(`📊 Fetching detailed model info: ${hash}`);
+    await checkPinAccess(req, hash);
+    const provenance = checkProvenance(req, res, hash);
     
     const pinStatus = await ipfsService.getPinStatus(hash);
-    const modelData = await ipfsService.getFromIPFS(hash);
-    const modelPackage = JSON.parse(modelData);
+    const layout = await modelPackageService.getLayout(hash);
+
+    let modelPackage;
+    let verification;
+    if (layout === 'directory') {
+      const manifest = await modelPackageService.getComponent(hash, 'manifest');
+      modelPackage = manifest.value;
+      verification = manifest.verification;
+    } else {
+      const fetched = await ipfsService.fetchContent(hash);
+      modelPackage = JSON.parse(fetched.content.toString('utf8'));
+      verification = fetched.verification;
+    }
 
     res.json({
       success: true,
@@ -636,7 +836,11 @@ app.get('/api/ml/model-details/:hash', async (req, res) => {
         ipfsHash: hash,
         pinned: pinStatus.pinned,
         pinInfo: pinStatus.data || null,
+        layout: layout,
+        verified: verification.verified,
+        verification: verification,
         modelPackage: modelPackage,
+        provenance: provenance,
         gateways: ipfsService.getGateways(hash),
         retrievedAt: new Date().toISOString()
       }
@@ -644,23 +848,23 @@ app.get('/api/ml/model-details/:hash', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error fetching model details:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...error.details
     });
   }
 });
 
 // Retrieve TFT model
-app.get('/api/ml/get-model/:hash', async (req, res) => {
+app.get('/api/ml/get-model/:hash', requireRead, async (req, res) => {
   try {
     const { hash } = req.params;
     
     console.log(`📥 Retrieving TFT model: ${hash}`);
-    const modelData = await ipfsService.getFromIPFS(hash);
-    const rawData = JSON.parse(modelData);
-    
-    const modelPackage = rawData.data ? JSON.parse(rawData.data) : rawData;
+    await checkPinAccess(req, hash);
+    const provenance = checkProvenance(req, res, hash);
+    const { layout, modelPackage, verified } = await modelPackageService.getPackage(hash);
     
     console.log(`✅ Model retrieved. Has weights: ${!!modelPackage.model_weights}`);
     
@@ -669,129 +873,327 @@ app.get('/api/ml/get-model/:hash', async (req, res) => {
       data: modelPackage,
       metadata: {
         ipfsHash: hash,
+        layout: layout,
+        verified: verified,
         retrievedAt: new Date().toISOString(),
         hasWeights: !!modelPackage.model_weights,
-        weightsSize: modelPackage.model_weights ? modelPackage.model_weights.length : 0
+        weightsSize: modelPackage.model_weights ? modelPackage.model_weights.length : 0,
+        provenance: provenance
       }
     });
 
   } catch (error) {
     console.error('❌ Error retrieving model:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...error.details
     });
   }
 });
 
-// ============================================
-// IPFS GENERIC ENDPOINTS
-// ============================================
+// Retrieve one component of a model package, e.g. only its metrics
+// (manifest | weights | data | metrics | shap | metadata | architecture | training)
+app.get('/api/ml/model/:hash/component/:component', requireRead, async (req, res) => {
+  try {
+    const { hash, component } = req.params;
+
+    if (!ipfsService.isValidIPFSHash(hash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid IPFS hash format'
+      });
+    }
 
-// Upload model to IPFS
-app.post('/api/ipfs/upload-model', async (req, res) => {
+    await checkPinAccess(req, hash);
+    const provenance = checkProvenance(req, res, hash);
+    const result = await modelPackageService.getComponent(hash, component);
+
+    res.json({
+      success: true,
+      data: result.value,
+      metadata: {
+        ipfsHash: hash,
+        component: component,
+        layout: result.layout,
+        path: result.path,
+        verified: result.verification.verified,
+        verification: result.verification,
+        provenance: provenance,
+        retrievedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error retrieving model component:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...error.details
+    });
+  }
+});
+
+// Retrieve a single file from a model package directory by path,
+// e.g. /api/ml/model/<hash>/files/weights/model_weights.json
+app.get('/api/ml/model/:hash/files/*', requireRead, async (req, res) => {
   try {
-    const { modelData, metadata } = req.body;
-    
-    if (!modelData) {
+    const { hash } = req.params;
+    const filePath = req.params[0];
+
+    if (!ipfsService.isValidIPFSHash(hash)) {
       return res.status(400).json({
         success: false,
-        error: 'Model data is required'
+        error: 'Invalid IPFS hash format'
       });
     }
 
-    console.log('📦 Uploading model to IPFS...');
-    
-    const ipfsResult = await ipfsService.uploadToIPFS(
-      JSON.stringify(modelData, null, 2),
-      metadata || {}
-    );
+    await checkPinAccess(req, hash);
+    checkProvenance(req, res, hash);
+    const { content, verification } = await ipfsService.fetchContent(hash, filePath);
 
-    console.log('✅ Model uploaded to IPFS:', ipfsResult.ipfsHash);
+    res.set('Content-Type', detectFormat(filePath).contentType);
+    res.set('X-Ipfs-Path', `/ipfs/${hash}/${filePath}`);
+    res.set('X-Content-Verified', String(verification.verified));
+    res.send(content);
+
+  } catch (error) {
+    console.error('❌ Error retrieving model file:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...error.details
+    });
+  }
+});
+
+// Provenance of a package without downloading it: signature, signer and
+// whether the pin metadata still matches what was signed
+app.get('/api/ml/model/:hash/provenance', requireRead, async (req, res) => {
+  try {
+    const { hash } = req.params;
+
+    if (!ipfsService.isValidIPFSHash(hash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid IPFS hash format'
+      });
+    }
 
+    const pin = await checkPinAccess(req, hash);
+    const provenance = signingService.verify(hash, { pin });
     res.json({
       success: true,
-      data: {
-        ipfs: ipfsResult,
-        message: 'Model stored successfully on IPFS',
-        timestamp: new Date().toISOString()
-      }
+      data: provenance
     });
 
   } catch (error) {
-    console.error('❌ Error uploading to IPFS:', error);
-    res.status(500).json({
+    console.error('❌ Error checking provenance:', error.message);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Get model from IPFS
-app.get('/api/ipfs/model/:hash', async (req, res) => {
+// Model card of a package: description, intended use, limitations, metric
+// table, architecture, training config, features and top SHAP features.
+// ?format=json (default) | markdown | html, or the matching Accept header.
+// ?pinned=true serves the card as it was pinned instead of a fresh one.
+app.get('/api/ml/model/:hash/card', requireRead, async (req, res) => {
   try {
     const { hash } = req.params;
-    
-    console.log(`📥 Fetching model from IPFS: ${hash}`);
-    const modelData = await ipfsService.getFromIPFS(hash);
-    
+
+    if (!ipfsService.isValidIPFSHash(hash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid IPFS hash format'
+      });
+    }
+
+    const format = reportFormat(req);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be one of: json, markdown, html'
+      });
+    }
+
+    await checkPinAccess(req, hash);
+    const provenance = checkProvenance(req, res, hash);
+
+    if (req.query.pinned === 'true') {
+      const { content, verification, record } = await modelCardService.readPinned(hash, format);
+      res.set('X-Model-Card-Cid', record.cid);
+      res.set('X-Content-Verified', String(verification.verified));
+      if (format === 'json') {
+        return res.json({
+          success: true,
+          data: JSON.parse(content.toString('utf8')),
+          pinned: record
+        });
+      }
+      return res.type(format === 'html' ? 'html' : 'text/markdown; charset=utf-8').send(content);
+    }
+
+    console.log(`🪪 Generating model card for ${hash}`);
+    const card = await modelCardService.build(hash);
+    const pinned = modelCardService.pinned(hash);
+    if (pinned) res.set('X-Model-Card-Cid', pinned.cid);
+
+    if (format === 'markdown') {
+      return res.type('text/markdown; charset=utf-8').send(modelCardService.renderMarkdown(card));
+    }
+    if (format === 'html') {
+      return res.type('html').send(modelCardService.renderHtml(card));
+    }
+
+    res.json({
+      success: true,
+      data: card,
+      pinned: pinned,
+      provenance: provenance
+    });
+
+  } catch (error) {
+    console.error('❌ Error generating model card:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...error.details
+    });
+  }
+});
+
+// Pin the model card next to the model, as a directory of card.md, card.html
+// and card.json with a CID of its own
+app.post('/api/ml/model/:hash/card/pin', requireWrite, async (req, res) => {
+  try {
+    const { hash } = req.params;
+
+    if (!ipfsService.isValidIPFSHash(hash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid IPFS hash format'
+      });
+    }
+
+    await checkPinAccess(req, hash, 'write');
+    checkProvenance(req, res, hash);
+    const { pinned, provenance } = await modelCardService.pin(hash, { pinnedBy: req.principal.name });
+    res.locals.audit = { metadata: { cardCid: pinned.cid } };
+
     res.json({
       success: true,
       data: {
-        ipfsHash: hash,
-        modelData: JSON.parse(modelData),
-        retrievedAt: new Date().toISOString()
+        ...pinned,
+        gateways: ipfsService.getGateways(pinned.cid),
+        provenance: provenance
       }
     });
 
   } catch (error) {
-    res.status(500).json({
+    console.error('❌ Error pinning model card:', error.message);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...error.details
     });
   }
 });
 
-// Upload any file to IPFS
-app.post('/api/ipfs/upload', async (req, res) => {
+// Compare two model packages, e.g. a retrain against the production model:
+// metrics with absolute and relative deltas, architecture, training config,
+// feature lists and top SHAP features. ?format=json (default) | markdown | html,
+// or the matching Accept header; ?top= sets how many SHAP features to rank.
+app.get('/api/ml/compare/:baseHash/:candidateHash', requireRead, async (req, res) => {
   try {
-    const { data, metadata, fileName = 'file.json' } = req.body;
-    
-    if (!data) {
+    const { baseHash, candidateHash } = req.params;
+
+    for (const hash of [baseHash, candidateHash]) {
+      if (!ipfsService.isValidIPFSHash(hash)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid IPFS hash format: ${hash}`
+        });
+      }
+    }
+
+    const format = reportFormat(req);
+    if (!format) {
       return res.status(400).json({
         success: false,
-        error: 'Data is required'
+        error: 'format must be one of: json, markdown, html'
       });
     }
 
-    const ipfsResult = await ipfsService.uploadToIPFS(
-      typeof data === 'string' ? data : JSON.stringify(data, null, 2),
-      metadata || {}
-    );
+    await checkPinAccess(req, baseHash);
+    await checkPinAccess(req, candidateHash);
+    // X-Provenance-Status lists the base's status, then the candidate's
+    const provenance = [baseHash, candidateHash].map(hash => checkProvenance(req, res, hash));
+    res.set('X-Provenance-Status', provenance.map(({ status }) => status).join(', '));
+
+    console.log(`⚖️  Comparing ${baseHash} with ${candidateHash}`);
+    const diff = await modelComparisonService.compare(baseHash, candidateHash, {
+      top: Math.max(1, parseInt(req.query.top) || 10)
+    });
+
+    if (format === 'markdown') {
+      return res.type('text/markdown; charset=utf-8').send(modelComparisonService.renderMarkdown(diff));
+    }
+    if (format === 'html') {
+      return res.type('html').send(modelComparisonService.renderHtml(diff));
+    }
 
     res.json({
       success: true,
-      data: ipfsResult
+      data: diff
     });
 
   } catch (error) {
-    res.status(500).json({
+    console.error('❌ Error comparing models:', error.message);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...error.details
     });
   }
 });
 
-// List pinned files
-app.get('/api/ipfs/files', async (req, res) => {
+// Rank models by any metric in their performance_metrics, e.g.
+// ?metric=f1_score&task=retail-churn-tft&min[recall]=0.7&max[mae]=0.2&tieBreakers=recall,accuracy
+// task (a registered model name) or modelType narrows the field; order=asc|desc
+// overrides the metric's direction. The champion is the production version
+// unless ?champion=<hash> names one; challengers are the models that beat it.
+// Under the strict provenance policy, models that don't verify are excluded.
+app.get('/api/ml/leaderboard', requireRead, async (req, res) => {
   try {
-    const files = await ipfsService.listPinnedFiles();
+    const { metric, order, task, modelType, champion, min, max, tieBreakers, limit = 50 } = req.query;
+
+    console.log(`🏆 Ranking models by ${metric}`);
+    const leaderboard = await leaderboardService.build({
+      project: req.project,
+      principal: req.principal,
+      strict: signingService.isStrict(req),
+      metric,
+      order,
+      task,
+      modelType,
+      champion,
+      min,
+      max,
+      tieBreakers: tieBreakers ? String(tieBreakers).split(',').map(name => name.trim()).filter(Boolean) : [],
+      limit: Math.max(1, parseInt(limit) || 50)
+    });
+
     res.json({
       success: true,
-      data: files
+      data: leaderboard
     });
+
   } catch (error) {
-    res.status(500).json({
+    console.error('❌ Error building leaderboard:', error.message);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -799,53 +1201,1816 @@ app.get('/api/ipfs/files', async (req, res) => {
 });
 
 // ============================================
-// ERROR HANDLING (MUST BE LAST)
+// SCHEMA ENDPOINTS
 // ============================================
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('🚨 Unhandled Error:', error);
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error'
+// Request body schemas and their versions
+app.get('/api/schemas', requireRead, (req, res) => {
+  res.json({
+    success: true,
+    data: schemaService.list()
   });
 });
 
-// 404 handler - MUST BE ABSOLUTE LAST
-app.use('*', (req, res) => {
-  console.log('❌ 404 - Route not found:', req.method, req.originalUrl);
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found',
-    requestedUrl: req.originalUrl,
-    method: req.method
-  });
+// A JSON Schema document; latest version unless ?version= is given
+app.get('/api/schemas/:name', requireRead, (req, res) => {
+  try {
+    const entry = schemaService.get(req.params.name, req.query.version ? parseInt(req.query.version) : undefined);
+    res.json(entry.schema);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
-🚀 Retail ML IPFS Service running on port ${PORT}
-📡 Health check: http://localhost:${PORT}/health
-🌐 IPFS Enabled: Yes
-💡 API Endpoints:
-   GET  /health
-   GET  /api/info
+// ============================================
+// MODEL DELETION ENDPOINTS
+// ============================================
+
+// List deleted models (status: trashed | restored | purged | all)
+app.get('/api/ml/trash', requireRead, (req, res) => {
+  try {
+    const { status = 'trashed' } = req.query;
+    const entries = trashService.list({ status, project: req.project });
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(entry => ({
+          ...entry,
+          sizeFormatted: formatBytes(entry.size || 0)
+        })),
+        count: entries.length,
+        retentionHours: trashService.retentionHours
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing trash:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Purge every trashed model whose grace period has expired
+app.post('/api/ml/trash/purge-expired', requireAdmin, async (req, res) => {
+  try {
+    const results = await trashService.purgeExpired({ project: req.project });
+
+    res.json({
+      success: true,
+      data: {
+        action: 'purge',
+        results: results,
+        purged: results.filter(r => r.success).length,
+        failed: results.filter(r => !r.success).length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error purging trash:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete a model: moves it to the trash; it is unpinned after the grace period
+app.delete('/api/ml/models/:hash', requireAdmin, async (req, res) => {
+  try {
+    const { hash } = req.params;
+
+    if (!ipfsService.isValidIPFSHash(hash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid IPFS hash format'
+      });
+    }
+
+    await checkPinAccess(req, hash, 'write');
+    const entry = await trashService.trash(hash, { reason: req.body?.reason || req.query.reason });
+
+    res.json({
+      success: true,
+      data: {
+        action: 'delete',
+        ...entry,
+        message: `Model moved to trash; it will be unpinned after ${entry.purgeAfter}`
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting model:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Restore a trashed model before it is purged
+app.post('/api/ml/models/:hash/restore', requireAdmin, async (req, res) => {
+  try {
+    await checkPinAccess(req, req.params.hash, 'write');
+    const entry = await trashService.restore(req.params.hash);
+
+    res.json({
+      success: true,
+      data: {
+        action: 'restore',
+        ...entry,
+        message: 'Model restored from trash'
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error restoring model:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Purge a trashed model now; force=true skips the remaining grace period
+app.delete('/api/ml/models/:hash/purge', requireAdmin, async (req, res) => {
+  try {
+    const force = req.query.force === 'true';
+    await checkPinAccess(req, req.params.hash, 'write');
+    const entry = await trashService.purge(req.params.hash, { force });
+
+    res.json({
+      success: true,
+      data: {
+        action: 'purge',
+        ...entry,
+        message: 'Model unpinned'
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error purging model:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// MODEL REGISTRY ENDPOINTS
+// ============================================
+
+// List registered models
+app.get('/api/registry/models', requireRead, (req, res) => {
+  try {
+    const models = modelRegistry.listModels({ project: req.project });
+
+    res.json({
+      success: true,
+      data: {
+        models: models,
+        count: models.length,
+        stages: modelRegistry.stages
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing registered models:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Resolve a model reference such as retail-churn-tft@production to a CID
+app.get('/api/registry/resolve/:ref', requireRead, (req, res) => {
+  try {
+    const resolved = modelRegistry.resolve(req.params.ref, { principal: req.principal });
+
+    res.json({
+      success: true,
+      data: {
+        ref: req.params.ref,
+        ...resolved,
+        ipfsUrl: `https://gateway.pinata.cloud/ipfs/${resolved.ipfsHash}`,
+        gateways: ipfsService.getGateways(resolved.ipfsHash)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error resolving model reference:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Register a new version of a model
+app.post('/api/registry/models/:name/versions', requireWrite, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { version, ipfsHash, parentVersion, stage, description, metadata } = req.body;
+
+    const entry = await modelRegistry.registerVersion(name, {
+      version,
+      ipfsHash,
+      parentVersion,
+      stage,
+      description,
+      metadata
+    }, { principal: req.principal });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        name: name,
+        ...entry,
+        message: `Registered ${name}@${entry.version}`
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error registering model version:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List versions of a model, oldest first
+app.get('/api/registry/models/:name/versions', requireRead, (req, res) => {
+  try {
+    const { name } = req.params;
+    const model = modelRegistry.getModel(name, { principal: req.principal });
+    const versions = modelRegistry.listVersions(name, { stage: req.query.stage, principal: req.principal });
+
+    res.json({
+      success: true,
+      data: {
+        model: modelRegistry.summarize(model),
+        versions: versions,
+        count: versions.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing model versions:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get a single model version
+app.get('/api/registry/models/:name/versions/:version', requireRead, (req, res) => {
+  try {
+    const { name, version } = req.params;
+
+    res.json({
+      success: true,
+      data: {
+        name: name,
+        ...modelRegistry.getVersion(name, version, { principal: req.principal })
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Promote or demote a model version (none | staging | production | archived)
+app.post('/api/registry/models/:name/versions/:version/stage', requireWrite, async (req, res) => {
+  try {
+    const { name, version } = req.params;
+    const { stage } = req.body;
+
+    const result = await modelRegistry.setStage(name, version, stage, { principal: req.principal });
+
+    res.json({
+      success: true,
+      data: {
+        name: name,
+        ...result.version,
+        changes: result.changes
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error changing model stage:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// RETENTION POLICY ENDPOINTS
+// ============================================
+
+// List retention rules
+app.get('/api/retention/rules', requireRead, (req, res) => {
+  try {
+    const rules = retentionService.listRules();
+
+    res.json({
+      success: true,
+      data: {
+        rules: rules,
+        count: rules.length,
+        lastRun: retentionService.getLastRun()
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a retention rule, e.g.
+// { match: { name: 'retail-churn-*' }, keepLatest: 5, keepWithinDays: 30, keepStages: ['production'] }
+app.post('/api/retention/rules', requireGlobalAdmin, async (req, res) => {
+  try {
+    const rule = await retentionService.createRule(req.body || {});
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating retention rule:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Update a retention rule
+app.put('/api/retention/rules/:id', requireGlobalAdmin, async (req, res) => {
+  try {
+    const rule = await retentionService.updateRule(req.params.id, req.body || {});
+
+    res.json({
+      success: true,
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating retention rule:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delete a retention rule
+app.delete('/api/retention/rules/:id', requireGlobalAdmin, async (req, res) => {
+  try {
+    const rule = await retentionService.deleteRule(req.params.id);
+
+    res.json({
+      success: true,
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Show what the retention rules would remove and how much storage that reclaims
+app.get('/api/retention/dry-run', requireRead, async (req, res) => {
+  try {
+    console.log('🧹 Retention dry run...');
+    const plan = await retentionService.plan();
+
+    // Rules are service-wide; project-bound keys only see their project's share
+    const visible = item => req.project === null || item.project === req.project;
+    const remove = plan.remove.filter(visible);
+    const keep = plan.keep.filter(visible);
+    const reclaimableBytes = remove.reduce((sum, item) => sum + item.size, 0);
+
+    res.json({
+      success: true,
+      data: {
+        dryRun: true,
+        project: req.project,
+        rulesEvaluated: plan.rulesEvaluated,
+        remove: remove.map(item => ({ ...item, sizeFormatted: formatBytes(item.size) })),
+        keep: keep.map(item => ({ ...item, sizeFormatted: formatBytes(item.size) })),
+        summary: {
+          toRemove: remove.length,
+          toKeep: keep.length,
+          reclaimableBytes: reclaimableBytes,
+          reclaimableFormatted: formatBytes(reclaimableBytes)
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error planning retention:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Apply the retention rules now
+app.post('/api/retention/run', requireGlobalAdmin, async (req, res) => {
+  try {
+    const result = await retentionService.run();
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        reclaimedFormatted: formatBytes(result.reclaimedBytes)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error applying retention:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// CACHE ADMIN ENDPOINTS
+// ============================================
+
+// Cache metrics and the most recently used entries
+app.get('/api/cache', requireGlobalAdmin, (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const entries = cidCache.list();
+
+    res.json({
+      success: true,
+      data: {
+        stats: {
+          ...cidCache.stats(),
+          totalFormatted: formatBytes(cidCache.stats().totalBytes),
+          maxFormatted: formatBytes(cidCache.maxBytes)
+        },
+        entries: entries.slice(0, limit),
+        totalEntries: entries.length
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error reading cache:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Fetch a list of CIDs into the cache, e.g. { cids: ['Qm...', 'bafy...'] }
+app.post('/api/cache/prewarm', requireGlobalAdmin, async (req, res) => {
+  try {
+    const { cids } = req.body;
+
+    if (!Array.isArray(cids) || cids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'cids must be a non-empty array'
+      });
+    }
+    if (!cidCache.enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'The cache is disabled'
+      });
+    }
+
+    const results = await ipfsService.prewarmCache(cids);
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        fetched: results.filter(r => r.status === 'fetched').length,
+        alreadyCached: results.filter(r => r.status === 'cached').length,
+        failed: results.filter(r => !['fetched', 'cached'].includes(r.status)).length,
+        stats: cidCache.stats()
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error prewarming cache:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Evict one CID from the cache
+app.delete('/api/cache/:cid', requireGlobalAdmin, async (req, res) => {
+  try {
+    const removed = await cidCache.evict(req.params.cid);
+
+    if (removed === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `${req.params.cid} is not cached`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        cid: req.params.cid,
+        removedEntries: removed,
+        stats: cidCache.stats()
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error evicting cache entry:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Empty the cache
+app.delete('/api/cache', requireGlobalAdmin, async (req, res) => {
+  try {
+    const removed = await cidCache.clear();
+
+    res.json({
+      success: true,
+      data: {
+        removedEntries: removed,
+        stats: cidCache.stats()
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Error clearing cache:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// API KEY ENDPOINTS
+// ============================================
+
+// The key the request was made with
+app.get('/api/auth/whoami', requireRead, (req, res) => {
+  res.json({
+    success: true,
+    data: req.principal
+  });
+});
+
+// List API keys (hashes are never returned); includeRevoked=true to show all
+app.get('/api/auth/keys', requireAdmin, (req, res) => {
+  const keys = authService.list({
+    includeRevoked: req.query.includeRevoked === 'true',
+    project: req.principal.project
+  });
+
+  res.json({
+    success: true,
+    data: {
+      keys,
+      total: keys.length,
+      scopes: authService.scopes
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Issue an API key: { name, scope: 'read' | 'write' | 'admin', project?, expiresAt? }.
+// The key itself is only ever returned in this response.
+app.post('/api/auth/keys', requireAdmin, async (req, res) => {
+  try {
+    const { apiKey, key } = await authService.issue(req.body, req.principal);
+
+    console.log(`🔑 Issued ${key.scope} API key ${key.id} (${key.name}) for ${key.project || 'all projects'}`);
+    res.status(201).json({
+      success: true,
+      data: {
+        apiKey,
+        ...key
+      },
+      warning: 'Store this key now; it cannot be retrieved again'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revoke an API key
+app.delete('/api/auth/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const key = await authService.revoke(req.params.id, req.principal);
+
+    console.log(`🔒 Revoked API key ${key.id} (${key.name})`);
+    res.json({
+      success: true,
+      data: key
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// PROJECT ENDPOINTS
+// ============================================
+
+// Storage totals for every project, from one listing of all pins
+async function projectUsage() {
+  const allFiles = await ipfsService.listAllFiles(Infinity);
+  if (!allFiles.success) {
+    throw new ServiceError(`Failed to list files: ${allFiles.error}`, 502);
+  }
+
+  const usage = projectService.usage(allFiles.rows, trashService.trashedHashes());
+  Object.values(usage).forEach(totals => {
+    totals.storage.totalFormatted = formatBytes(totals.storage.total);
+  });
+  return usage;
+}
+
+function emptyUsage() {
+  return {
+    files: 0,
+    pinned: 0,
+    unpinned: 0,
+    trashed: 0,
+    storage: { total: 0, pinned: 0, unpinned: 0, totalFormatted: formatBytes(0) }
+  };
+}
+
+// Projects the caller can read, with their storage totals
+app.get('/api/projects', requireRead, async (req, res) => {
+  try {
+    const usage = await projectUsage();
+    const home = req.principal.project;
+
+    const projects = projectService.accessible(home).map(project => ({
+      ...project,
+      access: home === null || home === project.name ? 'owner' : project.grants[home].scope,
+      usage: usage[project.name] || emptyUsage()
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        projects,
+        total: projects.length,
+        project: home
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// A project with its grants and storage totals
+app.get('/api/projects/:name', requireRead, async (req, res) => {
+  try {
+    const project = projectService.get(req.params.name);
+    if (!projectService.canAccess(req.principal.project, project.name, 'read')) {
+      throw new ServiceError(`This key has no access to project "${project.name}"`, 403);
+    }
+
+    const usage = await projectUsage();
+    res.json({
+      success: true,
+      data: {
+        ...project,
+        usage: usage[project.name] || emptyUsage()
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a project: { name, description? }
+app.post('/api/projects', requireAdmin, async (req, res) => {
+  try {
+    projectService.assertCanManage(req.principal);
+    const project = await projectService.create(req.body, req.principal.name);
+
+    console.log(`📁 Created project ${project.name}`);
+    res.status(201).json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Give keys of another project access to this one: { scope: 'read' | 'write' }
+app.put('/api/projects/:name/grants/:grantee', requireAdmin, async (req, res) => {
+  try {
+    projectService.assertCanManage(req.principal, req.params.name);
+    const project = await projectService.grant(req.params.name, req.params.grantee, req.body.scope);
+
+    console.log(`🤝 Project ${req.params.grantee} granted ${req.body.scope} access to ${req.params.name}`);
+    res.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Withdraw another project's access
+app.delete('/api/projects/:name/grants/:grantee', requireAdmin, async (req, res) => {
+  try {
+    projectService.assertCanManage(req.principal, req.params.name);
+    const project = await projectService.revokeGrant(req.params.name, req.params.grantee);
+
+    res.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// EVENT STREAM ENDPOINTS
+// ============================================
+
+// Comment lines keep idle connections from being closed by proxies
+const EVENT_STREAM_HEARTBEAT_MS = parseInt(process.env.EVENT_STREAM_HEARTBEAT_SECONDS || '15') * 1000;
+
+// Server-Sent Events: uploads (upload.started, upload.progress, then
+// model.stored or upload.failed), registry changes and unpins, as they
+// happen. Scoped like every other route: a project's events with X-Project
+// (or a project key), everything for keys without a project. ?upload=<id>
+// follows a single upload, ?types= narrows the event types. Reconnecting
+// clients resume after Last-Event-ID while it is still in the replay buffer;
+// otherwise they get a `gap` event and should reload what they show.
+// EventSource can't send headers, so browsers need a fetch-based client.
+app.get('/api/events/stream', requireRead, (req, res) => {
+  const known = [...eventBus.types, ...eventBus.progressTypes];
+  const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : known;
+  const unknown = types.filter(type => !known.includes(type));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown event types: ${unknown.join(', ')}. Expected any of: ${known.join(', ')}`
+    });
+  }
+
+  const uploadId = req.query.upload || null;
+  const wanted = event => types.includes(event.type) &&
+    (req.project === null || event.project === req.project) &&
+    (!uploadId || event.data.uploadId === uploadId);
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = eventBus.since(lastEventId);
+    if (missed) {
+      missed.filter(wanted).forEach(send);
+    } else {
+      res.write(`event: gap\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+    }
+  }
+
+  const unsubscribe = eventBus.subscribe(event => {
+    if (wanted(event)) send(event);
+  }, { progress: true });
+  const heartbeat = setInterval(() => res.write(': keepalive\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// ============================================
+// WEBHOOK ENDPOINTS
+// ============================================
+
+// Webhook subscriptions (secrets are never returned)
+app.get('/api/webhooks', requireAdmin, (req, res) => {
+  const webhooks = webhookService.list({ project: req.principal.project });
+
+  res.json({
+    success: true,
+    data: {
+      webhooks,
+      total: webhooks.length,
+      events: eventBus.types
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Subscribe: { url, events?: ['model.stored', ...] | ['*'], description? }.
+// With a project (X-Project, or the key's own) only that project's events
+// are sent. The signing secret is only ever returned in this response.
+app.post('/api/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const { secret, webhook } = await webhookService.create(req.body, {
+      project: req.project,
+      createdBy: req.principal.name
+    });
+
+    console.log(`🪝 Added webhook ${webhook.id} -> ${webhook.url} (${webhook.events.join(', ')})`);
+    res.status(201).json({
+      success: true,
+      data: {
+        secret,
+        ...webhook
+      },
+      warning: 'Store this secret now; it cannot be retrieved again'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Unsubscribe; deliveries still pending are cancelled
+app.delete('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const webhook = await webhookService.remove(req.params.id, { project: req.principal.project });
+
+    console.log(`🪝 Removed webhook ${webhook.id} (${webhook.url})`);
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Delivery history of a webhook, newest first, with every attempt; ?status= and ?limit=
+app.get('/api/webhooks/:id/deliveries', requireAdmin, (req, res) => {
+  try {
+    const webhook = webhookService.describe(webhookService.get(req.params.id, { project: req.principal.project }));
+    const deliveries = webhookService.deliveries({
+      webhookId: webhook.id,
+      status: req.query.status,
+      limit: Math.max(1, parseInt(req.query.limit) || 100)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        webhook,
+        deliveries,
+        count: deliveries.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Deliveries that failed every attempt, across all webhooks
+app.get('/api/webhooks/dead-letters', requireAdmin, (req, res) => {
+  const deliveries = webhookService.deliveries({
+    status: 'dead',
+    project: req.principal.project,
+    limit: Math.max(1, parseInt(req.query.limit) || 100)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      deliveries,
+      count: deliveries.length
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Send a dead-lettered delivery again
+app.post('/api/webhooks/deliveries/:id/redeliver', requireAdmin, async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.id, { project: req.principal.project });
+
+    console.log(`🪝 Redelivering ${req.params.id} as ${delivery.id}`);
+    res.status(202).json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// AUDIT LOG ENDPOINTS
+// ============================================
+
+// Audit entries, newest first. Filters: actor, method, route (prefix), cid,
+// status, success, since, until; ?before=<nextBefore> pages back. Keys bound
+// to a project only see that project's entries.
+app.get('/api/audit', requireAdmin, async (req, res) => {
+  try {
+    const { actor, method, route, cid, since, until } = req.query;
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit) || 100));
+    const result = await auditLog.query({
+      actor,
+      method,
+      route,
+      cid,
+      since,
+      until,
+      project: req.principal.project ?? req.query.project,
+      status: req.query.status ? parseInt(req.query.status) : undefined,
+      success: req.query.success ? req.query.success === 'true' : undefined,
+      before: req.query.before ? parseInt(req.query.before) : undefined,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        count: result.entries.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Check the hash chain and the checkpoints; valid: false lists what is wrong
+app.get('/api/audit/verify', requireGlobalAdmin, async (req, res) => {
+  try {
+    const result = await auditLog.verify();
+
+    if (!result.valid) {
+      console.warn(`⚠️  Audit log verification found ${result.problems.length} problems`);
+    }
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Pinned checkpoints of the log head, newest first
+app.get('/api/audit/checkpoints', requireGlobalAdmin, (req, res) => {
+  const checkpoints = auditLog.listCheckpoints();
+
+  res.json({
+    success: true,
+    data: {
+      checkpoints,
+      count: checkpoints.length,
+      head: auditLog.loadHead()
+    }
+  });
+});
+
+// Pin the current head now instead of waiting for the next scheduled checkpoint
+app.post('/api/audit/checkpoints', requireGlobalAdmin, async (req, res) => {
+  try {
+    const result = await auditLog.checkpoint();
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      error: `Audit checkpoint failed: ${error.message}`
+    });
+  }
+});
+
+// ============================================
+// ENCRYPTION KEY ENDPOINTS
+// ============================================
+
+// Master keys in the keyring (never their material), with how many pins use each
+app.get('/api/encryption/keys', requireGlobalAdmin, async (req, res) => {
+  try {
+    const pinCounts = await ipfsService.countPinsByKey();
+    const keys = encryptionService.listKeys().map(key => ({ ...key, pins: pinCounts[key.id] || 0 }));
+
+    res.json({
+      success: true,
+      data: {
+        keys,
+        algorithm: encryptionService.algorithm,
+        encryptByDefault: encryptionService.encryptByDefault
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Create a master key ({ id? }) and make it active for new uploads
+app.post('/api/encryption/keys', requireGlobalAdmin, async (req, res) => {
+  try {
+    const key = await encryptionService.createKey(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: key
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Re-wrap data keys onto the active master key without re-uploading content.
+// { fromKeyId } limits the rotation to pins on that key.
+app.post('/api/encryption/rotate', requireGlobalAdmin, async (req, res) => {
+  try {
+    const results = await ipfsService.rotateDataKeys({ fromKeyId: req.body.fromKeyId });
+
+    res.status(results.failed.length > 0 ? 207 : 200).json({
+      success: results.failed.length === 0,
+      data: results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Remove a retired master key once no pin uses it any more
+app.delete('/api/encryption/keys/:id', requireGlobalAdmin, async (req, res) => {
+  try {
+    const pins = (await ipfsService.countPinsByKey())[req.params.id] || 0;
+    // A pin index cut off at PIN_INDEX_SYNC_LIMIT may miss pins that use the key
+    if (ipfsService.index.status().truncated) {
+      throw new ServiceError('The pin index does not hold every pin (PIN_INDEX_SYNC_LIMIT), so the key may still be in use', 409);
+    }
+    if (pins > 0) {
+      throw new ServiceError(`${pins} pins still use master key "${req.params.id}"; rotate them first`, 409);
+    }
+
+    await encryptionService.deleteKey(req.params.id);
+    console.log(`🗑️  Master key ${req.params.id} deleted`);
+
+    res.json({
+      success: true,
+      message: `Master key ${req.params.id} deleted`
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// SIGNING KEY ENDPOINTS
+// ============================================
+
+// Signing keys in the trust store (public halves only), so consumers can
+// check signatures themselves
+app.get('/api/signing/keys', requireRead, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      keys: signingService.listKeys(),
+      strictByDefault: signingService.strictByDefault
+    }
+  });
+});
+
+// Generate a signing key and sign new packages with it: { id? }. The
+// previous key keeps verifying what it signed.
+app.post('/api/signing/keys', requireGlobalAdmin, async (req, res) => {
+  try {
+    const key = await signingService.createKey(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: key
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Revoke a signing key: { reason? }. Packages it signed become untrusted.
+app.delete('/api/signing/keys/:id', requireGlobalAdmin, async (req, res) => {
+  try {
+    const key = await signingService.revokeKey(req.params.id, req.body || {});
+    console.log(`🚫 Signing key ${key.id} revoked`);
+
+    res.json({
+      success: true,
+      data: key
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// IPFS GENERIC ENDPOINTS
+// ============================================
+
+// Per-gateway health: circuit breaker state, success rate, latency and score
+app.get('/api/ipfs/gateways', requireRead, (req, res) => {
+  const gateways = gatewayPool.health();
+
+  res.json({
+    success: true,
+    data: {
+      gateways,
+      healthy: gateways.filter(gateway => gateway.state === 'closed').length,
+      settings: {
+        timeoutMs: gatewayPool.timeoutMs,
+        hedgeDelayMs: gatewayPool.hedgeDelayMs,
+        maxParallel: gatewayPool.maxParallel,
+        failureThreshold: gatewayPool.failureThreshold,
+        cooldownSeconds: gatewayPool.cooldownMs / 1000
+      }
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Close a gateway's circuit breaker and clear its history
+app.post('/api/ipfs/gateways/:name/reset', requireGlobalAdmin, (req, res) => {
+  const gateway = gatewayPool.reset(req.params.name);
+
+  if (!gateway) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown gateway "${req.params.name}"`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: gatewayPool.health().find(entry => entry.name === req.params.name),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Sync status of the local pin index that list, search and statistics read from
+app.get('/api/ipfs/index', requireRead, (req, res) => {
+  res.json({
+    success: true,
+    data: ipfsService.index.status(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Reconcile the pin index with the storage provider now
+app.post('/api/ipfs/index/sync', requireGlobalAdmin, async (req, res) => {
+  try {
+    await ipfsService.index.sync();
+    res.json({
+      success: true,
+      data: ipfsService.index.status(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      error: `Pin index sync failed: ${error.response?.data?.error || error.message}`
+    });
+  }
+});
+
+// Upload model to IPFS. The body must match the model-package schema, whose
+// version is recorded in the stored metadata.
+app.post('/api/ipfs/upload-model', requireWrite, assignUploadId, async (req, res) => {
+  try {
+    const schema = schemaService.validate('model-package', req.body);
+    const { modelData, metadata, encrypt } = req.body;
+
+    console.log('📦 Uploading model to IPFS...');
+    
+    const ipfsResult = await ipfsService.uploadToIPFS(
+      JSON.stringify(modelData, null, 2),
+      { ...metadata, project: req.project || projectService.defaultProject, schema },
+      { encrypt: encryptionService.shouldEncrypt(encrypt), uploadId: req.uploadId }
+    );
+
+    console.log('✅ Model uploaded to IPFS:', ipfsResult.ipfsHash);
+    publishStored(req, 'upload-model', ipfsResult, {
+      name: metadata?.modelName || null,
+      layout: 'blob',
+      schema
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ipfs: ipfsResult,
+        schema: schema,
+        message: 'Model stored successfully on IPFS',
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error uploading to IPFS:', error.message);
+    publishUploadFailure(req, 'upload-model', error, { name: req.body?.metadata?.modelName || null });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...error.details
+    });
+  }
+});
+
+// Get model from IPFS
+app.get('/api/ipfs/model/:hash', requireRead, async (req, res) => {
+  try {
+    const { hash } = req.params;
+    
+    console.log(`📥 Fetching model from IPFS: ${hash}`);
+    await checkPinAccess(req, hash);
+    const provenance = checkProvenance(req, res, hash);
+    const modelData = await ipfsService.getFromIPFS(hash);
+    
+    res.json({
+      success: true,
+      data: {
+        ipfsHash: hash,
+        modelData: JSON.parse(modelData),
+        provenance: provenance,
+        retrievedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...error.details
+    });
+  }
+});
+
+// Download raw content as-is, streamed rather than buffered. A path after the
+// CID selects a file inside a directory (e.g. a model package component).
+// Supports Range requests so interrupted downloads can resume, If-None-Match
+// on the CID ETag, and Accept: application/vnd.ipld.raw for the raw block.
+// Encrypted content is served sealed, exactly as pinned; the model routes
+// and /api/ipfs/model/:hash decrypt it.
+app.get(['/api/ipfs/download/:hash', '/api/ipfs/download/:hash/*'], requireRead, async (req, res) => {
+  try {
+    const { hash } = req.params;
+    const subPath = req.params[0] || '';
+
+    if (!ipfsService.isValidIPFSHash(hash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid IPFS hash format'
+      });
+    }
+
+    await checkPinAccess(req, hash);
+    checkProvenance(req, res, hash);
+    const cid = subPath ? await ipfsService.resolvePath(hash, subPath) : hash;
+    const rawBlock = req.query.format === 'raw' ||
+      req.accepts(['application/octet-stream', 'application/vnd.ipld.raw']) === 'application/vnd.ipld.raw';
+    const etag = rawBlock ? `"${cid}.raw"` : `"${cid}"`;
+
+    // Content behind a CID never changes
+    res.set({
+      'ETag': etag,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'Vary': 'Accept, X-Provenance-Policy',
+      'X-Ipfs-Path': `/ipfs/${hash}${subPath ? `/${subPath}` : ''}`,
+      'X-Ipfs-Roots': cid
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    if (rawBlock) {
+      const { block } = await ipfsService.getBlock(cid);
+      res.set('Content-Type', 'application/vnd.ipld.raw');
+      return res.send(block);
+    }
+
+    const node = await ipfsService.getNode(cid);
+    if (node.type === 'directory') {
+      return res.status(400).json({
+        success: false,
+        error: `${subPath ? `${hash}/${subPath}` : hash} is a directory; download one of its files`,
+        files: node.links.map(link => link.name)
+      });
+    }
+
+    const pinStatus = subPath ? null : await ipfsService.getPinStatus(hash);
+    const pinInfo = pinStatus?.data || {};
+    const filename = req.query.filename ||
+      (subPath ? path.posix.basename(subPath) : pinInfo.keyvalues?.filename) ||
+      cid;
+    const { contentType } = detectFormat(filename, pinInfo.keyvalues?.contentType || pinInfo.mimeType);
+
+    if (!req.accepts(contentType)) {
+      return res.status(406).json({
+        success: false,
+        error: `Content is ${contentType}`
+      });
+    }
+
+    const size = node.size;
+    let range = null;
+    const ifRange = req.headers['if-range'];
+    if (req.headers.range && (!ifRange || ifRange === etag)) {
+      const ranges = req.range(size, { combine: true });
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+      }
+      // Multiple ranges are answered with the whole content
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    res.attachment(filename);
+    res.set({
+      'Content-Type': contentType,
+      'Accept-Ranges': 'bytes',
+      'Content-Length': range ? range.end - range.start + 1 : size
+    });
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    console.log(`📥 Streaming ${cid}${range ? ` bytes ${range.start}-${range.end}` : ''}`);
+    const stream = await ipfsService.streamContent(cid, range || {});
+
+    // An error mid-stream aborts the connection, so a client never mistakes a
+    // truncated or unverified body for the complete file
+    pipeline(stream, res, error => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`❌ Download of ${cid} failed:`, error.message);
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error downloading content:', error.message);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...error.details
+    });
+  }
+});
+
+// Upload any file to IPFS
+app.post('/api/ipfs/upload', requireWrite, assignUploadId, async (req, res) => {
+  try {
+    const { data, metadata, encrypt, fileName = 'file.json' } = req.body;
+    
+    if (!data) {
+      return res.status(400).json({
+        success: false,
+        error: 'Data is required'
+      });
+    }
+
+    const ipfsResult = await ipfsService.uploadToIPFS(
+      typeof data === 'string' ? data : JSON.stringify(data, null, 2),
+      { ...metadata, project: req.project || projectService.defaultProject },
+      { encrypt: encryptionService.shouldEncrypt(encrypt), uploadId: req.uploadId }
+    );
+
+    publishStored(req, 'upload', ipfsResult, { name: metadata?.modelName || null, layout: 'blob' });
+
+    res.json({
+      success: true,
+      data: ipfsResult
+    });
+
+  } catch (error) {
+    publishUploadFailure(req, 'upload', error, { name: req.body.metadata?.modelName || null });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Upload a binary artifact (safetensors, .pt, ONNX, joblib, ...) as multipart/form-data.
+// The file part is streamed straight to the storage backend; text fields
+// (modelName, version, modelType, accuracy, metadata as JSON) must come before it.
+// Streamed uploads are never encrypted, whatever ENCRYPT_UPLOADS says.
+app.post('/api/ipfs/upload-file', requireWrite, assignUploadId, (req, res) => {
+  if (!req.is('multipart/form-data')) {
+    return res.status(415).json({
+      success: false,
+      error: 'Expected a multipart/form-data request'
+    });
+  }
+
+  let busboy;
+  try {
+    busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: UPLOAD_MAX_BYTES } });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  const fields = {};
+  let upload = null;
+
+  // Stop reading the request and close the connection instead of draining
+  // what may be gigabytes of a rejected upload
+  const fail = (status, message) => {
+    if (res.headersSent) return;
+    req.unpipe(busboy);
+    res.set('Connection', 'close');
+    res.status(status).json({
+      success: false,
+      error: message
+    });
+  };
+
+  busboy.on('field', (name, value) => {
+    fields[name] = value;
+  });
+
+  busboy.on('file', (name, file, info) => {
+    res.locals.audit = { metadata: { ...fields, filename: info.filename || name } };
+
+    if (fields.encrypt === 'true') {
+      file.resume();
+      return fail(400, 'Streamed uploads cannot be encrypted; use /api/ipfs/upload or /api/ml/store-model');
+    }
+
+    let extraMetadata = {};
+    try {
+      extraMetadata = fields.metadata ? JSON.parse(fields.metadata) : {};
+    } catch (error) {
+      console.warn('⚠️  Ignoring invalid metadata field:', error.message);
+    }
+
+    file.on('limit', () => {
+      file.destroy(new ServiceError(`File exceeds the ${formatBytes(UPLOAD_MAX_BYTES)} upload limit`, 413));
+    });
+
+    upload = ipfsService.uploadStream(file, {
+      filename: info.filename || name,
+      contentType: info.mimeType,
+      metadata: {
+        ...extraMetadata,
+        modelName: fields.modelName || extraMetadata.modelName,
+        version: fields.version || extraMetadata.version,
+        modelType: fields.modelType || extraMetadata.modelType,
+        accuracy: fields.accuracy || extraMetadata.accuracy,
+        project: req.project || projectService.defaultProject
+      },
+      uploadId: req.uploadId
+    });
+
+    upload.then(ipfsResult => {
+      publishStored(req, 'upload-file', ipfsResult, {
+        name: fields.modelName || extraMetadata.modelName || null,
+        layout: 'file',
+        format: ipfsResult.file.format
+      });
+      // The request may already have been failed (e.g. a malformed part after
+      // the file) while the upload finished
+      if (res.headersSent) return;
+      res.json({
+        success: true,
+        data: ipfsResult
+      });
+    }, error => {
+      console.error('❌ Error streaming upload to IPFS:', error.message);
+      publishUploadFailure(req, 'upload-file', error, { name: fields.modelName || extraMetadata.modelName || null });
+      fail(error.status || 500, error.message);
+    });
+  });
+
+  busboy.on('error', error => fail(400, error.message));
+
+  busboy.on('close', () => {
+    if (!upload) fail(400, 'A file part is required');
+  });
+
+  req.pipe(busboy);
+});
+
+// List the project's pinned files, newest first; ?limit= and the pagination
+// cursors page through them
+app.get('/api/ipfs/files', requireRead, async (req, res) => {
+  try {
+    const files = await ipfsService.listPinnedFiles(Infinity);
+    if (!files.success) {
+      return res.status(500).json({
+        success: false,
+        error: files.error
+      });
+    }
+
+    const rows = projectService.filterFiles(files.rows, req.project);
+    const { items, pagination } = paginate(rows, {
+      keyOf: file => ({ value: new Date(file.date_pinned).getTime() || null, cid: file.ipfs_pin_hash }),
+      sort: 'date_pinned',
+      order: 'desc',
+      limit: Math.max(1, parseInt(req.query.limit) || 100),
+      cursor: req.query.cursor
+    });
+
+    res.json({
+      success: true,
+      data: { ...files, count: items.length, rows: items, pagination }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// ERROR HANDLING (MUST BE LAST)
+// ============================================
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  console.error('🚨 Unhandled Error:', error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+});
+
+// 404 handler - MUST BE ABSOLUTE LAST
+app.use('*', (req, res) => {
+  console.log('❌ 404 - Route not found:', req.method, req.originalUrl);
+  res.status(404).json({
+    success: false,
+    error: 'Endpoint not found',
+    requestedUrl: req.originalUrl,
+    method: req.method
+  });
+});
+
+// Start server
+app.listen(PORT, () => {
+  ipfsService.index.start();
+  trashService.start();
+  retentionService.start();
+  webhookService.start();
+  auditLog.start();
+
+  if (authService.enabled && !authService.bootstrapKey && authService.list().length === 0) {
+    console.warn('⚠️  No API keys have been issued and ADMIN_API_KEY is not set: every request will be rejected');
+  }
+
+  console.log(`
+🚀 Retail ML IPFS Service running on port ${PORT}
+📡 Health check: http://localhost:${PORT}/health
+🌐 IPFS Enabled: Yes
+🗄️  Storage Provider: ${ipfsService.provider.label}
+🔐 Authentication: ${authService.enabled ? 'API keys' : 'DISABLED (AUTH_ENABLED=false)'}
+💡 API Endpoints:
+   GET  /health
+   GET  /api/info
    
    ML MODEL MANAGEMENT:
    POST /api/ml/store-model
    GET  /api/ml/get-model/:hash
    GET  /api/ml/list-models         
    GET  /api/ml/model-details/:hash
+   GET  /api/ml/model/:hash/component/:component
+   GET  /api/ml/model/:hash/files/*
+   GET  /api/ml/model/:hash/provenance
+   GET  /api/ml/model/:hash/card
+   POST /api/ml/model/:hash/card/pin
+   GET  /api/ml/compare/:baseHash/:candidateHash
+   GET  /api/ml/leaderboard?metric=
    GET  /api/ml/search-models
    GET  /api/ml/statistics
+   DELETE /api/ml/models/:hash
+   POST /api/ml/models/:hash/restore
+   DELETE /api/ml/models/:hash/purge
+   GET  /api/ml/trash
+   POST /api/ml/trash/purge-expired
+   GET  /api/schemas
+   GET  /api/schemas/:name
+   
+   MODEL REGISTRY:
+   GET  /api/registry/models
+   POST /api/registry/models/:name/versions
+   GET  /api/registry/models/:name/versions
+   GET  /api/registry/models/:name/versions/:version
+   POST /api/registry/models/:name/versions/:version/stage
+   GET  /api/registry/resolve/:ref
+   
+   RETENTION:
+   GET  /api/retention/rules
+   POST /api/retention/rules
+   PUT  /api/retention/rules/:id
+   DELETE /api/retention/rules/:id
+   GET  /api/retention/dry-run
+   POST /api/retention/run
+   
+   CACHE:
+   GET  /api/cache
+   POST /api/cache/prewarm
+   DELETE /api/cache/:cid
+   DELETE /api/cache
    
    IPFS OPERATIONS:
    POST /api/ipfs/upload-model
    GET  /api/ipfs/model/:hash
+   GET  /api/ipfs/download/:hash[/path]
    POST /api/ipfs/upload
+   POST /api/ipfs/upload-file
    GET  /api/ipfs/files
+   GET  /api/ipfs/gateways
+   POST /api/ipfs/gateways/:name/reset
+   GET  /api/ipfs/index
+   POST /api/ipfs/index/sync
    GET  /api/ipfs/test
+   
+   API KEYS:
+   GET  /api/auth/whoami
+   GET  /api/auth/keys
+   POST /api/auth/keys
+   DELETE /api/auth/keys/:id
+   
+   PROJECTS (X-Project header or ?project=):
+   GET  /api/projects
+   POST /api/projects
+   GET  /api/projects/:name
+   PUT  /api/projects/:name/grants/:grantee
+   DELETE /api/projects/:name/grants/:grantee
+   
+   EVENTS:
+   GET  /api/events/stream
+   
+   WEBHOOKS:
+   GET  /api/webhooks
+   POST /api/webhooks
+   DELETE /api/webhooks/:id
+   GET  /api/webhooks/:id/deliveries
+   GET  /api/webhooks/dead-letters
+   POST /api/webhooks/deliveries/:id/redeliver
+   
+   AUDIT LOG:
+   GET  /api/audit
+   GET  /api/audit/verify
+   GET  /api/audit/checkpoints
+   POST /api/audit/checkpoints
+   
+   ENCRYPTION:
+   GET  /api/encryption/keys
+   POST /api/encryption/keys
+   DELETE /api/encryption/keys/:id
+   POST /api/encryption/rotate
+   
+   SIGNING (X-Provenance-Policy: strict to refuse unverified models):
+   GET  /api/signing/keys
+   POST /api/signing/keys
+   DELETE /api/signing/keys/:id
 
 🎯 Ready for ML model storage!
   `);
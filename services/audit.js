@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const JsonStore = require('./jsonStore');
+const { ServiceError } = require('./errors');
+const ipfsService = require('./ipfs');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Request bodies are recorded without their payloads: strings are cut to
+// this length and objects bigger than this when serialized are left out
+const MAX_STRING = 200;
+const MAX_OBJECT = 2048;
+
+// Body fields never written to the log
+const REDACTED_FIELDS = /secret|password|token|apikey|api_key|private/i;
+
+// Problems reported by verify() before it stops listing them
+const MAX_PROBLEMS = 100;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// An entry's hash covers every other field, including the previous entry's
+// hash, in the order they were written
+function hashEntry({ hash, ...entry }) {
+  return sha256(JSON.stringify(entry));
+}
+
+function summarizeBody(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return {};
+
+  const summary = {};
+  Object.entries(body).forEach(([key, value]) => {
+    if (REDACTED_FIELDS.test(key)) {
+      summary[key] = '[redacted]';
+    } else if (typeof value === 'string') {
+      summary[key] = value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}…` : value;
+    } else if (value === null || typeof value !== 'object') {
+      summary[key] = value;
+    } else {
+      const size = JSON.stringify(value).length;
+      summary[key] = size > MAX_OBJECT ? `[omitted: ${size} bytes]` : value;
+    }
+  });
+  return summary;
+}
+
+// Append-only, hash-chained record of every mutating API call, one JSON
+// entry per line in DATA_DIR/audit.log:
+//
+//   { seq, at, actor, method, route, path, project, cid, metadata, result, ip, prevHash, hash }
+//
+// Each hash is the SHA-256 of the entry with the previous entry's hash in
+// it, so editing, removing or reordering entries breaks the chain from that
+// point on. Rewriting the whole tail consistently is caught by checkpoints:
+// the head hash is pinned to IPFS every AUDIT_CHECKPOINT_INTERVAL_MINUTES,
+// and verify() checks the log still contains every checkpointed entry. The
+// local list of checkpoints sits next to the log, so the latest one is also
+// read back from IPFS, where its content is bound to its CID.
+class AuditLog {
+  constructor() {
+    const dataDir = process.env.DATA_DIR || './data';
+    this.filePath = path.resolve(dataDir, 'audit.log');
+    this.checkpoints = new JsonStore(path.resolve(dataDir, 'audit-checkpoints.json'), { checkpoints: [] });
+    this.checkpointIntervalMs = parseFloat(process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES || '60') * 60 * 1000;
+    this.head = null;
+    this.pendingWrite = Promise.resolve();
+    this.timer = null;
+  }
+
+  // The last entry's seq and hash, read from the end of the file once
+  loadHead() {
+    if (this.head) return this.head;
+
+    let last = null;
+    try {
+      const fd = fs.openSync(this.filePath, 'r');
+      try {
+        const { size } = fs.fstatSync(fd);
+        const length = Math.min(size, 64 * 1024);
+        const buffer = Buffer.alloc(length);
+        fs.readSync(fd, buffer, 0, length, size - length);
+        const lines = buffer.toString('utf8').trim().split('\n');
+        last = lines.length && lines[lines.length - 1] ? JSON.parse(lines[lines.length - 1]) : null;
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+      }
+    }
+
+    this.head = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+    return this.head;
+  }
+
+  // Entries are chained in the order they are recorded and written in that
+  // order; an entry that fails to write is logged, and verify() reports the gap
+  record(fields) {
+    const head = this.loadHead();
+    const entry = {
+      seq: head.seq + 1,
+      at: new Date().toISOString(),
+      ...fields,
+      prevHash: head.hash
+    };
+    entry.hash = hashEntry(entry);
+    this.head = { seq: entry.seq, hash: entry.hash };
+
+    const line = `${JSON.stringify(entry)}\n`;
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, line, { mode: 0o600 });
+    }).catch(error => {
+      console.error(`❌ Failed to write audit entry ${entry.seq}:`, error.message);
+    });
+
+    return entry;
+  }
+
+  // Express middleware that records every mutating request once its
+  // response has been sent (or the client went away). Routes can add to
+  // the entry through res.locals.audit, e.g. { metadata } for multipart
+  // uploads whose fields are not in req.body.
+  middleware() {
+    return (req, res, next) => {
+      if (!MUTATING_METHODS.includes(req.method)) return next();
+
+      let responseBody = null;
+      const json = res.json.bind(res);
+      res.json = body => {
+        responseBody = body;
+        return json(body);
+      };
+
+      let recorded = false;
+      const recordRequest = () => {
+        if (recorded) return;
+        recorded = true;
+
+        const principal = req.principal || null;
+        const data = responseBody?.data;
+        const extra = res.locals.audit || {};
+
+        this.record({
+          actor: principal
+            ? { id: principal.id, name: principal.name, scope: principal.scope, project: principal.project ?? null }
+            : null,
+          method: req.method,
+          route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+          path: req.originalUrl,
+          project: req.project ?? null,
+          cid: req.params?.hash || req.params?.cid || req.body?.ipfsHash ||
+            data?.ipfsHash || data?.ipfs?.ipfsHash || null,
+          metadata: summarizeBody(extra.metadata || req.body),
+          result: {
+            status: res.writableFinished ? res.statusCode : null,
+            success: res.writableFinished ? res.statusCode < 400 : false,
+            error: responseBody?.error || (res.writableFinished ? null : 'client disconnected')
+          },
+          ip: req.ip || null
+        });
+      };
+
+      res.on('finish', recordRequest);
+      res.on('close', recordRequest);
+      next();
+    };
+  }
+
+  // Entries in the file, oldest first, as { line, entry } (entry is null
+  // when the line is not valid JSON)
+  async *entries() {
+    let stream;
+    try {
+      await fs.promises.access(this.filePath);
+      stream = fs.createReadStream(this.filePath, 'utf8');
+    } catch (error) {
+      return;
+    }
+
+    let line = 0;
+    for await (const text of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+      line++;
+      if (!text.trim()) continue;
+
+      let entry = null;
+      try {
+        entry = JSON.parse(text);
+      } catch (error) {
+        entry = null;
+      }
+      yield { line, entry };
+    }
+  }
+
+  // Newest entries first. Filters: actor (key id or name), method, route
+  // (prefix), cid, project, status, success, since/until (ISO dates) and
+  // before (a seq, to page back from the `nextBefore` of the previous page).
+  async query({ actor, method, route, cid, project, status, success, since, until, before, limit = 100 } = {}) {
+    await this.pendingWrite;
+
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+    if (Number.isNaN(sinceTime) || Number.isNaN(untilTime)) {
+      throw new ServiceError('since and until must be dates', 400);
+    }
+
+    const matches = entry =>
+      (!actor || entry.actor?.id === actor || entry.actor?.name === actor) &&
+      (!method || entry.method === method.toUpperCase()) &&
+      (!route || (entry.route || entry.path).startsWith(route)) &&
+      (!cid || entry.cid === cid) &&
+      (project === undefined || entry.project === project) &&
+      (status === undefined || entry.result.status === status) &&
+      (success === undefined || entry.result.success === success) &&
+      (sinceTime === null || new Date(entry.at).getTime() >= sinceTime) &&
+      (untilTime === null || new Date(entry.at).getTime() <= untilTime) &&
+      (before === undefined || entry.seq < before);
+
+    // Keep only the newest `limit + 1` matches while scanning
+    const found = [];
+    for await (const { entry } of this.entries()) {
+      if (!entry || !matches(entry)) continue;
+      found.push(entry);
+      if (found.length > limit + 1) found.shift();
+    }
+
+    const hasMore = found.length > limit;
+    const page = found.slice(hasMore ? 1 : 0).reverse();
+    return {
+      entries: page,
+      hasMore,
+      nextBefore: hasMore ? page[page.length - 1].seq : null
+    };
+  }
+
+  // Walk the whole chain: every line must parse, seqs must follow each other
+  // without gaps, each prevHash must be the hash before it and each hash
+  // must match the entry's content. Checkpointed entries must still be there
+  // with the hash that was pinned; for the latest checkpoint that is the hash
+  // in its pinned content rather than in the local record.
+  async verify() {
+    await this.pendingWrite;
+
+    const problems = [];
+    const report = problem => {
+      if (problems.length < MAX_PROBLEMS) problems.push(problem);
+    };
+
+    const checkpoints = this.checkpoints.load().checkpoints;
+    const checkpointsBySeq = new Map(checkpoints.map(checkpoint => [checkpoint.seq, checkpoint]));
+    const checkpointsSeen = new Set();
+
+    const latest = checkpoints[checkpoints.length - 1] || null;
+    let pinnedCheckpoint = null;
+    if (latest) {
+      try {
+        const pinned = await this.readPinnedCheckpoint(latest.cid);
+        pinnedCheckpoint = { cid: latest.cid, seq: pinned.seq, hash: pinned.hash, verified: true };
+        if (pinned.seq !== latest.seq || pinned.hash !== latest.hash) {
+          report({
+            seq: latest.seq,
+            type: 'checkpoint-tampered',
+            message: `The local record of checkpoint ${latest.cid} differs from its pinned content`
+          });
+        }
+        checkpointsBySeq.set(pinned.seq, { ...latest, seq: pinned.seq, hash: pinned.hash });
+      } catch (error) {
+        pinnedCheckpoint = { cid: latest.cid, verified: false, error: error.message };
+        report({
+          seq: latest.seq,
+          type: 'checkpoint-unverifiable',
+          message: `Checkpoint ${latest.cid} could not be read back from IPFS: ${error.message}`
+        });
+      }
+    }
+
+    let previous = { seq: 0, hash: GENESIS_HASH };
+    let count = 0;
+
+    for await (const { line, entry } of this.entries()) {
+      count++;
+      if (!entry || typeof entry.seq !== 'number') {
+        report({ line, type: 'unreadable', message: 'Line is not a valid audit entry' });
+        continue;
+      }
+
+      if (entry.seq !== previous.seq + 1) {
+        report({
+          line,
+          seq: entry.seq,
+          type: entry.seq > previous.seq + 1 ? 'gap' : 'out-of-order',
+          message: `Expected seq ${previous.seq + 1}, found ${entry.seq}`
+        });
+      }
+      if (entry.prevHash !== previous.hash) {
+        report({ line, seq: entry.seq, type: 'broken-link', message: 'prevHash does not match the previous entry' });
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        report({ line, seq: entry.seq, type: 'modified', message: 'Entry content does not match its hash' });
+      }
+
+      const checkpoint = checkpointsBySeq.get(entry.seq);
+      if (checkpoint) {
+        checkpointsSeen.add(entry.seq);
+        if (checkpoint.hash !== entry.hash) {
+          report({ line, seq: entry.seq, type: 'checkpoint-mismatch', message: `Hash differs from checkpoint ${checkpoint.cid}` });
+        }
+      }
+
+      previous = { seq: entry.seq, hash: entry.hash };
+    }
+
+    [...checkpointsBySeq.values()]
+      .filter(checkpoint => !checkpointsSeen.has(checkpoint.seq))
+      .forEach(checkpoint => report({
+        seq: checkpoint.seq,
+        type: 'missing-checkpointed-entry',
+        message: `Entry ${checkpoint.seq} was checkpointed in ${checkpoint.cid} but is not in the log`
+      }));
+
+    return {
+      valid: problems.length === 0,
+      entries: count,
+      head: previous,
+      lastCheckpoint: latest,
+      pinnedCheckpoint,
+      problems,
+      verifiedAt: new Date().toISOString()
+    };
+  }
+
+  // The { seq, hash } pinned as checkpoint `cid`. The bytes are checked
+  // against the CID here even when they come from the local cache.
+  async readPinnedCheckpoint(cid) {
+    const { content } = await ipfsService.fetchContent(cid, '', { decrypt: false });
+    const integrity = ipfsService.checkIntegrity(cid, content);
+    if (!integrity.verified) {
+      throw new Error(`content could not be checked against the CID (${integrity.reason})`);
+    }
+
+    const pinned = JSON.parse(JSON.parse(content.toString('utf8')).data);
+    if (pinned.type !== 'audit-checkpoint') {
+      throw new Error('content is not an audit checkpoint');
+    }
+    return pinned;
+  }
+
+  // Pin the current head to IPFS. Each checkpoint names the one before it,
+  // so the pinned checkpoints form a chain of their own.
+  async checkpoint() {
+    await this.pendingWrite;
+
+    const head = this.loadHead();
+    const checkpoints = this.checkpoints.load().checkpoints;
+    const last = checkpoints[checkpoints.length - 1] || null;
+
+    if (head.seq === 0 || (last && last.seq === head.seq)) {
+      return { created: false, checkpoint: last };
+    }
+
+    const at = new Date().toISOString();
+    const result = await ipfsService.uploadToIPFS(JSON.stringify({
+      type: 'audit-checkpoint',
+      seq: head.seq,
+      hash: head.hash,
+      previous: last ? last.cid : null,
+      at
+    }), {
+      modelName: `audit-checkpoint-${head.seq}`,
+      modelType: 'audit-checkpoint'
+    });
+
+    const checkpoint = { seq: head.seq, hash: head.hash, cid: result.ipfsHash, at };
+    await this.checkpoints.update(data => {
+      data.checkpoints.push(checkpoint);
+    });
+
+    console.log(`🧾 Audit log checkpoint ${head.seq} pinned as ${checkpoint.cid}`);
+    return { created: true, checkpoint };
+  }
+
+  listCheckpoints() {
+    return [...this.checkpoints.load().checkpoints].reverse();
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.checkpoint().catch(error => console.error('❌ Audit checkpoint failed:', error.message));
+    }, this.checkpointIntervalMs);
+    this.timer.unref();
+  }
+}
+
+// Create and export singleton instance
+const auditLog = new AuditLog();
+module.exports = auditLog;
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const path = require('path');
+const JsonStore = require('./jsonStore');
+const { ServiceError } = require('./errors');
+const projectService = require('./projects');
+
+// Each scope includes the ones before it: admin can do everything write can
+const SCOPES = ['read', 'write', 'admin'];
+
+const KEY_PREFIX = 'rmk';
+const KEY_PATTERN = new RegExp(`^${KEY_PREFIX}_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$`);
+
+// lastUsedAt is only persisted when it is at least this stale, so that
+// authenticated reads don't all turn into writes of the key file
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// API keys look like rmk_<id>_<secret>. Only a SHA-256 hash of the full key
+// is stored, so a key can't be recovered after it has been issued.
+//
+// ADMIN_API_KEY, when set, is accepted as an admin key that is not in the
+// store; it is how the first keys get issued. AUTH_ENABLED=false turns
+// authentication off entirely (every caller is treated as admin).
+//
+// Every key belongs to a project (see ProjectService); admin keys may be
+// issued without one, which gives them access to all projects.
+class AuthService {
+  constructor() {
+    this.scopes = SCOPES;
+    this.enabled = (process.env.AUTH_ENABLED || 'true').toLowerCase() !== 'false';
+    this.bootstrapKey = process.env.ADMIN_API_KEY || null;
+    this.store = new JsonStore(
+      path.resolve(process.env.DATA_DIR || './data', 'api-keys.json'),
+      { keys: {} }
+    );
+  }
+
+  hasScope(granted, required) {
+    return SCOPES.indexOf(granted) >= SCOPES.indexOf(required);
+  }
+
+  // The stored key without its hash
+  describe(key) {
+    const { hash, ...rest } = key;
+    return { ...rest, project: this.homeProject(key), status: this.status(key) };
+  }
+
+  // Keys issued before projects existed belong to the default project
+  homeProject(key) {
+    if (key.project !== undefined) return key.project;
+    return key.scope === 'admin' ? null : projectService.defaultProject;
+  }
+
+  status(key) {
+    if (key.revokedAt) return 'revoked';
+    if (key.expiresAt && new Date(key.expiresAt) <= new Date()) return 'expired';
+    return 'active';
+  }
+
+  // Keys of `project`, or every key when project is null
+  list({ includeRevoked = false, project = null } = {}) {
+    return Object.values(this.store.load().keys)
+      .filter(key => includeRevoked || !key.revokedAt)
+      .filter(key => project === null || this.homeProject(key) === project)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(key => this.describe(key));
+  }
+
+  // Admin keys that belong to a project can only issue keys for that project
+  async issue({ name, scope, project, expiresAt } = {}, issuer = { name: null, project: null }) {
+    if (!name || typeof name !== 'string') {
+      throw new ServiceError('name is required', 400);
+    }
+    if (!SCOPES.includes(scope)) {
+      throw new ServiceError(`scope must be one of: ${SCOPES.join(', ')}`, 400);
+    }
+    if (!project && (scope !== 'admin' || issuer.project !== null)) {
+      project = issuer.project || projectService.defaultProject;
+    }
+    if (issuer.project !== null && project !== issuer.project) {
+      throw new ServiceError(`This key can only issue keys for project "${issuer.project}"`, 403);
+    }
+    if (project) projectService.get(project);
+    if (expiresAt !== undefined && expiresAt !== null) {
+      if (isNaN(new Date(expiresAt).getTime())) {
+        throw new ServiceError('expiresAt must be a date', 400);
+      }
+      if (new Date(expiresAt) <= new Date()) {
+        throw new ServiceError('expiresAt must be in the future', 400);
+      }
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const apiKey = `${KEY_PREFIX}_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+    const key = {
+      id,
+      name,
+      scope,
+      project: project || null,
+      hash: hashKey(apiKey),
+      createdAt: new Date().toISOString(),
+      createdBy: issuer.name,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    await this.store.update(data => {
+      data.keys[id] = key;
+    });
+
+    return { apiKey, key: this.describe(key) };
+  }
+
+  async revoke(id, revoker = { project: null }) {
+    const key = this.store.load().keys[id];
+    if (!key || (revoker.project !== null && this.homeProject(key) !== revoker.project)) {
+      throw new ServiceError(`API key ${id} not found`, 404);
+    }
+    if (key.revokedAt) {
+      throw new ServiceError(`API key ${id} is already revoked`, 409);
+    }
+
+    await this.store.update(data => {
+      data.keys[id].revokedAt = new Date().toISOString();
+    });
+
+    return this.describe(this.store.load().keys[id]);
+  }
+
+  // Accepts `Authorization: Bearer <key>` or `X-API-Key: <key>`
+  extractKey(req) {
+    const authorization = req.get('authorization');
+    if (authorization) {
+      const match = /^Bearer\s+(.+)$/i.exec(authorization);
+      return match ? match[1].trim() : null;
+    }
+    return req.get('x-api-key') || null;
+  }
+
+  // The principal a key belongs to, or a 401 ServiceError
+  async authenticate(apiKey) {
+    if (!apiKey) {
+      throw new ServiceError('API key required (Authorization: Bearer <key> or X-API-Key)', 401);
+    }
+
+    if (this.bootstrapKey && safeEqual(apiKey, this.bootstrapKey)) {
+      return { id: 'bootstrap', name: 'ADMIN_API_KEY', scope: 'admin', project: null };
+    }
+
+    const match = KEY_PATTERN.exec(apiKey);
+    const key = match && this.store.load().keys[match[1]];
+    if (!key || !safeEqual(key.hash, hashKey(apiKey))) {
+      throw new ServiceError('Invalid API key', 401);
+    }
+
+    const status = this.status(key);
+    if (status !== 'active') {
+      throw new ServiceError(`API key is ${status}`, 401);
+    }
+
+    const now = new Date();
+    if (!key.lastUsedAt || now - new Date(key.lastUsedAt) >= LAST_USED_RESOLUTION_MS) {
+      await this.store.update(data => {
+        data.keys[key.id].lastUsedAt = now.toISOString();
+      });
+    }
+
+    return { id: key.id, name: key.name, scope: key.scope, project: this.homeProject(key) };
+  }
+
+  // Express middleware that authenticates the request and requires `scope`.
+  // The caller is available to the route as req.principal, and the project
+  // it acts on (X-Project header or ?project=) as req.project.
+  requireScope(scope) {
+    return async (req, res, next) => {
+      try {
+        const principal = this.enabled
+          ? await this.authenticate(this.extractKey(req))
+          : { id: 'anonymous', name: 'auth disabled', scope: 'admin', project: null };
+
+        if (!this.hasScope(principal.scope, scope)) {
+          throw new ServiceError(`This endpoint requires the ${scope} scope (key has ${principal.scope})`, 403);
+        }
+
+        req.principal = principal;
+        req.project = projectService.resolve(principal, req.get('x-project') || req.query.project, scope);
+        next();
+      } catch (error) {
+        if (error.status === 401) res.set('WWW-Authenticate', 'Bearer');
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    };
+  }
+
+  // CORS_ORIGINS is a comma-separated allow-list of origins, or * for any.
+  // Unset means no cross-origin access.
+  corsOptions() {
+    const origins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+    return {
+      origin: origins.includes('*') ? true : origins,
+      allowedHeaders: [
+        'Authorization', 'X-API-Key', 'X-Project', 'Content-Type', 'Range', 'If-None-Match', 'If-Range',
+        'X-Upload-Id', 'X-Provenance-Policy', 'Last-Event-ID'
+      ],
+      exposedHeaders: [
+        'ETag', 'Content-Range', 'Content-Disposition', 'Accept-Ranges', 'X-Ipfs-Path', 'X-Ipfs-Roots', 'X-Content-Verified',
+        'X-Upload-Id', 'X-Provenance-Status', 'X-Model-Card-Cid'
+      ]
+    };
+  }
+}
+
+// Create and export singleton instance
+const authService = new AuthService();
+module.exports = authService;
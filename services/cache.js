@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./jsonStore');
+
+// Hits update recency and hit counts in memory; the index is written at most
+// this often for them (and with every other index change), so that cache
+// reads don't each rewrite the index file
+const TOUCH_FLUSH_MS = 30 * 1000;
+
+// Read-through cache of IPFS content on local disk, keyed by CID. Content
+// behind a CID never changes, so entries never go stale; they are only
+// evicted, least recently used first, to stay under CACHE_MAX_BYTES.
+// Entries are either a file's content or a single raw block (used to resolve
+// paths inside directories). Only verified bytes are ever written.
+class CidCache {
+  constructor() {
+    this.maxBytes = parseInt(process.env.CACHE_MAX_BYTES || String(1024 * 1024 * 1024));
+    // The local provider already serves from disk; caching it would only copy it
+    this.enabled = this.maxBytes > 0 && (process.env.STORAGE_PROVIDER || 'pinata').toLowerCase() !== 'local';
+    this.cacheDir = path.resolve(process.env.CACHE_DIR || path.join(process.env.DATA_DIR || './data', 'cache'));
+    this.objectsDir = path.join(this.cacheDir, 'objects');
+    this.index = new JsonStore(path.join(this.cacheDir, 'index.json'), { entries: {} });
+    this.flushTimer = null;
+
+    this.metrics = {
+      hits: 0,
+      misses: 0,
+      writes: 0,
+      evictions: 0,
+      bytesServed: 0,
+      since: new Date().toISOString()
+    };
+  }
+
+  key(cid, kind) {
+    return kind === 'block' ? `${cid}.block` : cid;
+  }
+
+  entryPath(key) {
+    return path.join(this.objectsDir, key);
+  }
+
+  totalBytes() {
+    return Object.values(this.index.load().entries).reduce((sum, entry) => sum + entry.size, 0);
+  }
+
+  has(cid, kind = 'content') {
+    return this.enabled && !!this.index.load().entries[this.key(cid, kind)];
+  }
+
+  async get(cid, kind = 'content') {
+    if (!this.enabled) return null;
+
+    const key = this.key(cid, kind);
+    if (!this.index.load().entries[key]) {
+      this.metrics.misses++;
+      return null;
+    }
+
+    let content;
+    try {
+      content = await fs.promises.readFile(this.entryPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      // The file went missing underneath the index
+      await this.index.update(data => {
+        delete data.entries[key];
+      });
+      this.metrics.misses++;
+      return null;
+    }
+
+    this.touch(key);
+    this.metrics.hits++;
+    this.metrics.bytesServed += content.length;
+    return content;
+  }
+
+  // Stream a cached file (or the inclusive byte range start..end of it), or
+  // null when it is not cached
+  async createReadStream(cid, { start, end } = {}) {
+    const key = this.key(cid, 'content');
+    if (!this.enabled || !this.index.load().entries[key] || !fs.existsSync(this.entryPath(key))) {
+      return null;
+    }
+
+    this.touch(key);
+    this.metrics.hits++;
+    this.metrics.bytesServed += start !== undefined ? end - start + 1 : this.index.load().entries[key].size;
+    return fs.createReadStream(this.entryPath(key), start !== undefined ? { start, end } : {});
+  }
+
+  touch(key) {
+    const entry = this.index.load().entries[key];
+    if (!entry) return;
+    entry.lastAccessedAt = new Date().toISOString();
+    entry.hits++;
+
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.index.save().catch(error => {
+        console.warn(`⚠️  Cache index not saved: ${error.message}`);
+      });
+    }, TOUCH_FLUSH_MS);
+    this.flushTimer.unref();
+  }
+
+  async put(cid, content, kind = 'content') {
+    if (!this.enabled || content.length > this.maxBytes) return false;
+
+    const key = this.key(cid, kind);
+    await fs.promises.mkdir(this.objectsDir, { recursive: true });
+
+    const tmpPath = path.join(this.objectsDir, `.tmp-${crypto.randomUUID()}`);
+    await fs.promises.writeFile(tmpPath, content);
+    await fs.promises.rename(tmpPath, this.entryPath(key));
+
+    const now = new Date().toISOString();
+    await this.index.update(data => {
+      data.entries[key] = {
+        cid,
+        kind,
+        size: content.length,
+        cachedAt: now,
+        lastAccessedAt: now,
+        hits: 0
+      };
+    });
+    this.metrics.writes++;
+
+    await this.evictToFit();
+    return true;
+  }
+
+  // Drop least recently used entries until the cache fits in maxBytes
+  async evictToFit() {
+    const entries = Object.entries(this.index.load().entries)
+      .sort(([, a], [, b]) => new Date(a.lastAccessedAt) - new Date(b.lastAccessedAt));
+
+    let total = this.totalBytes();
+    const evicted = [];
+    for (const [key, entry] of entries) {
+      if (total <= this.maxBytes) break;
+      total -= entry.size;
+      evicted.push(key);
+    }
+
+    if (evicted.length === 0) return [];
+
+    await this.index.update(data => {
+      evicted.forEach(key => delete data.entries[key]);
+    });
+    for (const key of evicted) {
+      await fs.promises.rm(this.entryPath(key), { force: true });
+    }
+    this.metrics.evictions += evicted.length;
+
+    return evicted;
+  }
+
+  // Remove both the content and block entries for a CID
+  async evict(cid) {
+    const keys = [this.key(cid, 'content'), this.key(cid, 'block')]
+      .filter(key => this.index.load().entries[key]);
+
+    await this.index.update(data => {
+      keys.forEach(key => delete data.entries[key]);
+    });
+    for (const key of keys) {
+      await fs.promises.rm(this.entryPath(key), { force: true });
+    }
+
+    return keys.length;
+  }
+
+  async clear() {
+    const count = Object.keys(this.index.load().entries).length;
+
+    await this.index.update(data => {
+      data.entries = {};
+    });
+    await fs.promises.rm(this.objectsDir, { recursive: true, force: true });
+
+    return count;
+  }
+
+  list() {
+    return Object.values(this.index.load().entries)
+      .sort((a, b) => new Date(b.lastAccessedAt) - new Date(a.lastAccessedAt));
+  }
+
+  stats() {
+    const lookups = this.metrics.hits + this.metrics.misses;
+    const totalBytes = this.totalBytes();
+
+    return {
+      enabled: this.enabled,
+      cacheDir: this.cacheDir,
+      entries: Object.keys(this.index.load().entries).length,
+      totalBytes,
+      maxBytes: this.maxBytes,
+      utilization: this.maxBytes > 0 ? totalBytes / this.maxBytes : 0,
+      ...this.metrics,
+      hitRate: lookups > 0 ? this.metrics.hits / lookups : 0
+    };
+  }
+}
+
+// Create and export singleton instance
+const cidCache = new CidCache();
+module.exports = cidCache;
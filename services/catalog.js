@@ -0,0 +1,201 @@
+const path = require('path');
+const JsonStore = require('./jsonStore');
+const { mapLimit } = require('./concurrency');
+const { ServiceError } = require('./errors');
+const ipfsService = require('./ipfs');
+const modelPackageService = require('./packages');
+const modelRegistry = require('./registry');
+const projectService = require('./projects');
+const trashService = require('./trash');
+
+// How many packages are read at the same time when summaries are missing
+const FETCH_CONCURRENCY = 4;
+
+// Unreadable packages are retried after 1 minute, doubling up to a day
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Model type keyvalue; store-model records it as `type`
+function modelTypeOf(file) {
+  const keyvalues = file.metadata?.keyvalues || {};
+  return keyvalues.modelType || keyvalues.type || 'unknown';
+}
+
+// Pin names are top-level on some providers and in metadata on others
+function nameOf(file) {
+  return file.metadata?.name || file.name || null;
+}
+
+// The test list-models and statistics use, also matching packages whose
+// type keyvalue is the model type
+function isModel(file) {
+  return ['ml-model', 'temporal_fusion_transformer'].includes(modelTypeOf(file)) ||
+    !!nameOf(file)?.includes('model');
+}
+
+// Files streamed through upload-file are stored as is (ONNX, pickles, ...)
+// and record their detected `format`; there's no package to summarize
+function isPackage(file) {
+  return !file.metadata?.keyvalues?.format;
+}
+
+function isEncrypted(file) {
+  return !!file.metadata?.keyvalues?.keyId;
+}
+
+// One searchable document per pinned model: the pin's keyvalues (from the
+// pin index) plus the metrics and descriptive metadata inside the package.
+// Those are read from a package once and kept in DATA_DIR/model-catalog.json
+// for good, since the content behind a CID never changes. Summaries of
+// encrypted packages are only kept in memory, so the decrypted metrics and
+// metadata never reach disk; they are read again after a restart.
+//
+// Packages that can't be read are recorded with their error and retried
+// with a backoff, rather than fetched again on every search.
+class ModelCatalog {
+  constructor() {
+    this.store = new JsonStore(
+      path.resolve(process.env.DATA_DIR || './data', 'model-catalog.json'),
+      { summaries: {}, failures: {} }
+    );
+    this.encryptedSummaries = new Map();
+  }
+
+  // Package summaries by CID for `files`, reading the packages not seen
+  // before and those due for a retry. Packages that can't be read are
+  // reported in `failures`.
+  async summaries(files) {
+    // Catalogs written before failures were recorded don't have the key
+    const { summaries: stored, failures: failed = {} } = this.store.load();
+    const known = ipfsHash => stored[ipfsHash] || this.encryptedSummaries.get(ipfsHash);
+    const now = Date.now();
+    const missing = files.filter(file => !known(file.ipfs_pin_hash) &&
+      !(failed[file.ipfs_pin_hash] && new Date(failed[file.ipfs_pin_hash].retryAt) > now));
+
+    const read = await mapLimit(missing, FETCH_CONCURRENCY, async file => {
+      const ipfsHash = file.ipfs_pin_hash;
+      try {
+        const { layout, metrics, metadata } = await modelPackageService.getSummary(ipfsHash);
+        return {
+          file,
+          summary: {
+            layout,
+            metrics: isPlainObject(metrics) ? metrics : {},
+            metadata: isPlainObject(metadata) ? metadata : {},
+            readAt: new Date().toISOString()
+          }
+        };
+      } catch (error) {
+        const attempts = (failed[ipfsHash]?.attempts || 0) + 1;
+        const delayMs = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+        return {
+          file,
+          failure: {
+            error: error.message,
+            attempts,
+            failedAt: new Date().toISOString(),
+            retryAt: new Date(Date.now() + delayMs).toISOString()
+          }
+        };
+      }
+    });
+
+    // Plaintext summaries of encrypted packages from before they were kept out of the file
+    const leaked = files.filter(file => isEncrypted(file) && stored[file.ipfs_pin_hash]);
+
+    if (read.length > 0 || leaked.length > 0) {
+      await this.store.update(data => {
+        data.failures = data.failures || {};
+        read.forEach(({ file, summary, failure }) => {
+          if (failure) {
+            data.failures[file.ipfs_pin_hash] = failure;
+            return;
+          }
+          delete data.failures[file.ipfs_pin_hash];
+          if (isEncrypted(file)) {
+            this.encryptedSummaries.set(file.ipfs_pin_hash, summary);
+          } else {
+            data.summaries[file.ipfs_pin_hash] = summary;
+          }
+        });
+        leaked.forEach(file => {
+          this.encryptedSummaries.set(file.ipfs_pin_hash, data.summaries[file.ipfs_pin_hash]);
+          delete data.summaries[file.ipfs_pin_hash];
+        });
+      });
+    }
+
+    const unreadable = read.filter(result => result.failure).length;
+    if (read.length > 0) {
+      console.log(`📇 Catalogued ${read.length - unreadable} model packages (${unreadable} unreadable)`);
+    }
+
+    const recorded = this.store.load().failures || {};
+    const summaries = {};
+    const failures = {};
+    files.forEach(({ ipfs_pin_hash: ipfsHash }) => {
+      if (known(ipfsHash)) {
+        summaries[ipfsHash] = known(ipfsHash);
+      } else if (recorded[ipfsHash]) {
+        failures[ipfsHash] = recorded[ipfsHash].error;
+      }
+    });
+    return { summaries, failures };
+  }
+
+  document(file, summary, error, registry) {
+    const keyvalues = file.metadata?.keyvalues || {};
+    const metadata = summary?.metadata || {};
+    const metrics = summary?.metrics || {};
+
+    return {
+      ipfsHash: file.ipfs_pin_hash,
+      name: nameOf(file),
+      project: projectService.projectOf(file),
+      modelType: modelTypeOf(file),
+      version: keyvalues.version || metadata.version || '1.0.0',
+      accuracy: keyvalues.accuracy !== undefined ? parseFloat(keyvalues.accuracy) : (metrics.accuracy ?? null),
+      size: file.size,
+      uploadedAt: file.date_pinned,
+      status: file.status || 'pinned',
+      description: metadata.description || keyvalues.description || '',
+      framework: metadata.framework || keyvalues.framework || null,
+      tags: Array.isArray(metadata.tags) ? metadata.tags : [],
+      stages: [...new Set(registry.map(entry => entry.stage))],
+      registry,
+      metrics,
+      metadata,
+      keyvalues,
+      summaryError: error || null
+    };
+  }
+
+  // Documents for every pinned, non-trashed model of `project` (all projects
+  // when null), however many there are
+  async documents({ project = null } = {}) {
+    const pinned = await ipfsService.listPinnedFiles(Infinity);
+    if (!pinned.success) {
+      throw new ServiceError(`Failed to list pins: ${pinned.error}`, 502);
+    }
+
+    const trashed = trashService.trashedHashes();
+    const files = projectService.filterFiles(pinned.rows, project)
+      .filter(file => !trashed.has(file.ipfs_pin_hash) && isModel(file));
+
+    const { summaries, failures } = await this.summaries(files.filter(isPackage));
+    const registered = modelRegistry.versionsByHash();
+
+    return files.map(file => this.document(
+      file,
+      summaries[file.ipfs_pin_hash],
+      failures[file.ipfs_pin_hash],
+      registered.get(file.ipfs_pin_hash) || []
+    ));
+  }
+}
+
+// Create and export singleton instance
+const modelCatalog = new ModelCatalog();
+module.exports = modelCatalog;
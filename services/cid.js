@@ -0,0 +1,571 @@
+const crypto = require('crypto');
+
+// Defaults used by Pinata / Kubo for `ipfs add`
+const CHUNK_SIZE = 262144; // size-262144 chunker
+const MAX_LINKS = 174;     // balanced layout fan-out
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// Multicodec codes
+const CODEC_DAG_PB = 0x70;
+const CODEC_RAW = 0x55;
+const HASH_SHA2_256 = 0x12;
+
+// UnixFS Data.DataType
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+
+// ============================================
+// ENCODING HELPERS
+// ============================================
+
+function encodeVarint(value) {
+  const bytes = [];
+  let n = value;
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+function encodeBase58(buffer) {
+  let zeros = 0;
+  while (zeros < buffer.length && buffer[zeros] === 0) zeros++;
+
+  const digits = [];
+  for (let i = zeros; i < buffer.length; i++) {
+    let carry = buffer[i];
+    for (let j = 0; j < digits.length; j++) {
+      carry += digits[j] << 8;
+      digits[j] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  let result = '1'.repeat(zeros);
+  for (let i = digits.length - 1; i >= 0; i--) {
+    result += BASE58_ALPHABET[digits[i]];
+  }
+  return result;
+}
+
+function decodeVarint(buffer, offset = 0) {
+  let value = 0;
+  let multiplier = 1;
+  let position = offset;
+
+  while (position < buffer.length) {
+    const byte = buffer[position++];
+    value += (byte & 0x7f) * multiplier;
+    if ((byte & 0x80) === 0) {
+      return { value, length: position - offset };
+    }
+    multiplier *= 0x80;
+  }
+
+  throw new Error('Truncated varint');
+}
+
+function decodeBase58(text) {
+  let zeros = 0;
+  while (zeros < text.length && text[zeros] === '1') zeros++;
+
+  const bytes = [];
+  for (let i = zeros; i < text.length; i++) {
+    let carry = BASE58_ALPHABET.indexOf(text[i]);
+    if (carry < 0) throw new Error(`Invalid base58 character "${text[i]}"`);
+    for (let j = 0; j < bytes.length; j++) {
+      carry += bytes[j] * 58;
+      bytes[j] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  return Buffer.from([...new Array(zeros).fill(0), ...bytes.reverse()]);
+}
+
+// RFC 4648 base32, lowercase, no padding (multibase prefix 'b')
+function encodeBase32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let result = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      result += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    result += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return result;
+}
+
+function decodeBase32(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of text.toLowerCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) throw new Error(`Invalid base32 character "${char}"`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Protobuf field with wire type 2 (length-delimited)
+function bytesField(fieldNumber, value) {
+  return Buffer.concat([encodeVarint((fieldNumber << 3) | 2), encodeVarint(value.length), value]);
+}
+
+// Protobuf field with wire type 0 (varint)
+function varintField(fieldNumber, value) {
+  return Buffer.concat([encodeVarint(fieldNumber << 3), encodeVarint(value)]);
+}
+
+function encodeUnixFSData({ type, data, filesize, blocksizes = [] }) {
+  const parts = [varintField(1, type)];
+  if (data && data.length > 0) parts.push(bytesField(2, data));
+  if (filesize !== undefined) parts.push(varintField(3, filesize));
+  blocksizes.forEach(size => parts.push(varintField(4, size)));
+  return Buffer.concat(parts);
+}
+
+// dag-pb canonical form: Links (field 2) before Data (field 1)
+function encodePBNode({ data, links = [] }) {
+  const parts = links.map(link => bytesField(2, Buffer.concat([
+    bytesField(1, link.hash),
+    bytesField(2, Buffer.from(link.name || '')),
+    varintField(3, link.tsize)
+  ])));
+  if (data) parts.push(bytesField(1, data));
+  return Buffer.concat(parts);
+}
+
+function sha256Multihash(bytes) {
+  const digest = crypto.createHash('sha256').update(bytes).digest();
+  return Buffer.concat([Buffer.from([HASH_SHA2_256, 0x20]), digest]);
+}
+
+// ============================================
+// CID ENCODING
+// ============================================
+
+// Binary CID: a bare multihash for v0, <version><codec><multihash> for v1
+function cidBytes(version, codec, multihash) {
+  if (version === 0) return multihash;
+  return Buffer.concat([encodeVarint(1), encodeVarint(codec), multihash]);
+}
+
+function formatCid(version, codec, multihash) {
+  if (version === 0) return encodeBase58(multihash);
+  return 'b' + encodeBase32(cidBytes(1, codec, multihash));
+}
+
+function parseCid(cid) {
+  if (typeof cid !== 'string' || cid.length === 0) {
+    throw new Error('CID must be a non-empty string');
+  }
+
+  if (cid.length === 46 && cid.startsWith('Qm')) {
+    return { version: 0, codec: CODEC_DAG_PB, multihash: decodeBase58(cid) };
+  }
+
+  let bytes;
+  if (cid[0] === 'b') bytes = decodeBase32(cid.slice(1));
+  else if (cid[0] === 'z') bytes = decodeBase58(cid.slice(1));
+  else throw new Error(`Unsupported CID encoding: ${cid}`);
+
+  const version = decodeVarint(bytes);
+  if (version.value !== 1) throw new Error(`Unsupported CID version ${version.value}`);
+  const codec = decodeVarint(bytes, version.length);
+  const multihash = bytes.subarray(version.length + codec.length);
+
+  const digestLength = decodeVarint(multihash, decodeVarint(multihash).length);
+  if (multihash.length !== decodeVarint(multihash).length + digestLength.length + digestLength.value) {
+    throw new Error(`Malformed multihash in CID ${cid}`);
+  }
+
+  return { version: 1, codec: codec.value, multihash };
+}
+
+// ============================================
+// UNIXFS FILE BUILDER
+// ============================================
+
+// Incrementally builds the UnixFS DAG for a file so the CID can be computed
+// without holding the whole file in memory. CIDv1 implies raw leaves, which is
+// what Kubo and Pinata do for `cidVersion: 1`.
+class UnixFSFileBuilder {
+  constructor({ cidVersion = 0, rawLeaves = cidVersion === 1 } = {}) {
+    this.cidVersion = cidVersion;
+    this.rawLeaves = rawLeaves;
+    this.pending = [];
+    this.pendingLength = 0;
+    this.leaves = [];
+    this.totalSize = 0;
+  }
+
+  update(chunk) {
+    this.pending.push(chunk);
+    this.pendingLength += chunk.length;
+    this.totalSize += chunk.length;
+
+    while (this.pendingLength >= CHUNK_SIZE) {
+      const buffered = Buffer.concat(this.pending);
+      this.addLeaf(buffered.subarray(0, CHUNK_SIZE));
+      const rest = buffered.subarray(CHUNK_SIZE);
+      this.pending = rest.length > 0 ? [rest] : [];
+      this.pendingLength = rest.length;
+    }
+    return this;
+  }
+
+  addLeaf(data) {
+    if (this.rawLeaves) {
+      this.leaves.push({
+        codec: CODEC_RAW,
+        multihash: sha256Multihash(data),
+        tsize: data.length,
+        filesize: data.length,
+        block: this.leaves.length === 0 ? data : undefined
+      });
+      return;
+    }
+
+    const block = encodePBNode({
+      data: encodeUnixFSData({ type: UNIXFS_FILE, data, filesize: data.length })
+    });
+    this.leaves.push({
+      codec: CODEC_DAG_PB,
+      multihash: sha256Multihash(block),
+      tsize: block.length,
+      filesize: data.length,
+      block: this.leaves.length === 0 ? block : undefined
+    });
+  }
+
+  buildParent(children) {
+    const block = encodePBNode({
+      links: children.map(child => ({
+        hash: cidBytes(this.cidVersion, child.codec, child.multihash),
+        name: '',
+        tsize: child.tsize
+      })),
+      data: encodeUnixFSData({
+        type: UNIXFS_FILE,
+        filesize: children.reduce((sum, child) => sum + child.filesize, 0),
+        blocksizes: children.map(child => child.filesize)
+      })
+    });
+    return {
+      block,
+      codec: CODEC_DAG_PB,
+      multihash: sha256Multihash(block),
+      tsize: block.length + children.reduce((sum, child) => sum + child.tsize, 0),
+      filesize: children.reduce((sum, child) => sum + child.filesize, 0)
+    };
+  }
+
+  digest() {
+    if (this.pendingLength > 0 || this.leaves.length === 0) {
+      this.addLeaf(Buffer.concat(this.pending));
+      this.pending = [];
+      this.pendingLength = 0;
+    }
+
+    let level = this.leaves;
+    while (level.length > 1) {
+      const next = [];
+      for (let i = 0; i < level.length; i += MAX_LINKS) {
+        next.push(this.buildParent(level.slice(i, i + MAX_LINKS)));
+      }
+      level = next;
+    }
+
+    const root = level[0];
+    return {
+      cid: formatCid(this.cidVersion, root.codec, root.multihash),
+      size: this.totalSize,
+      dagSize: root.tsize,
+      // Lets providers answer block requests for the root without the content
+      rootBlock: root.block
+    };
+  }
+}
+
+// Compute the CID that `ipfs add` (and Pinata) would assign to this content
+function computeCid(content, options = {}) {
+  const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  return new UnixFSFileBuilder(options).update(bytes).digest();
+}
+
+// A raw-codec CIDv1 is just the sha-256 of the bytes
+class RawBlockHasher {
+  constructor() {
+    this.hash = crypto.createHash('sha256');
+  }
+
+  update(chunk) {
+    this.hash.update(chunk);
+    return this;
+  }
+
+  digest() {
+    const multihash = Buffer.concat([Buffer.from([HASH_SHA2_256, 0x20]), this.hash.digest()]);
+    return { cid: formatCid(1, CODEC_RAW, multihash) };
+  }
+}
+
+// Checks bytes against a CID as they arrive, for content too large to buffer
+class ContentVerifier {
+  constructor(cid) {
+    const parsed = parseCid(cid);
+    this.cid = cid;
+    this.expected = formatCid(parsed.version, parsed.codec, parsed.multihash);
+    this.candidates = [];
+
+    if (parsed.multihash[0] !== HASH_SHA2_256) {
+      this.reason = 'Unsupported hash function';
+    } else if (parsed.codec === CODEC_RAW) {
+      this.candidates = [new RawBlockHasher()];
+    } else if (parsed.codec !== CODEC_DAG_PB) {
+      this.reason = `Unsupported codec 0x${parsed.codec.toString(16)}`;
+    } else if (parsed.version === 0) {
+      this.candidates = [new UnixFSFileBuilder()];
+    } else {
+      // CIDv1 dag-pb files are normally built with raw leaves, but not always
+      this.candidates = [
+        new UnixFSFileBuilder({ cidVersion: 1 }),
+        new UnixFSFileBuilder({ cidVersion: 1, rawLeaves: false })
+      ];
+    }
+  }
+
+  update(chunk) {
+    this.candidates.forEach(candidate => candidate.update(chunk));
+    return this;
+  }
+
+  result() {
+    if (this.reason) {
+      return { verified: false, checked: false, cid: this.cid, reason: this.reason };
+    }
+
+    const computed = this.candidates.map(candidate => candidate.digest().cid);
+    const match = computed.find(candidate => candidate === this.expected);
+
+    return {
+      verified: !!match,
+      checked: true,
+      cid: this.cid,
+      computedCid: match || computed[0]
+    };
+  }
+}
+
+// Check that bytes returned for a CID actually hash back to it
+function verifyContent(cid, content) {
+  const bytes = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  return new ContentVerifier(cid).update(bytes).result();
+}
+
+// ============================================
+// UNIXFS DIRECTORIES
+// ============================================
+
+function cidToBytes(cid) {
+  const parsed = parseCid(cid);
+  return cidBytes(parsed.version, parsed.codec, parsed.multihash);
+}
+
+function cidFromBytes(bytes) {
+  if (bytes.length === 34 && bytes[0] === HASH_SHA2_256 && bytes[1] === 0x20) {
+    return encodeBase58(bytes);
+  }
+
+  const version = decodeVarint(bytes);
+  if (version.value !== 1) throw new Error(`Unsupported CID version ${version.value}`);
+  const codec = decodeVarint(bytes, version.length);
+  return formatCid(1, codec.value, bytes.subarray(version.length + codec.length));
+}
+
+// Build the UnixFS directory tree that `ipfs add -r` would produce for a set of
+// files, keyed by slash-separated path. Directory links are sorted by name, as
+// dag-pb requires. Returns the encoded directory blocks so they can be stored
+// or served without re-deriving them.
+function buildDirectory(files, { cidVersion = 0 } = {}) {
+  const tree = new Map();
+
+  const entries = files.map(file => {
+    const segments = file.path.split('/').filter(Boolean);
+    if (segments.length === 0) throw new Error('Every file in a directory needs a path');
+
+    let dir = tree;
+    segments.slice(0, -1).forEach(segment => {
+      if (!dir.has(segment)) dir.set(segment, new Map());
+      dir = dir.get(segment);
+      if (!(dir instanceof Map)) throw new Error(`${file.path} is nested under a file`);
+    });
+
+    const name = segments[segments.length - 1];
+    if (dir.has(name)) throw new Error(`Duplicate path ${file.path}`);
+
+    const bytes = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content);
+    const digest = computeCid(bytes, { cidVersion });
+    dir.set(name, digest);
+
+    return { path: segments.join('/'), cid: digest.cid, size: digest.size, rootBlock: digest.rootBlock };
+  });
+
+  const blocks = new Map();
+  const encodeDirectory = dir => {
+    const links = [...dir.entries()]
+      .sort(([a], [b]) => Buffer.compare(Buffer.from(a), Buffer.from(b)))
+      .map(([name, child]) => {
+        const target = child instanceof Map ? encodeDirectory(child) : child;
+        return { hash: cidToBytes(target.cid), name, tsize: target.dagSize };
+      });
+
+    const block = encodePBNode({ links, data: encodeUnixFSData({ type: UNIXFS_DIRECTORY }) });
+    const cid = formatCid(cidVersion, CODEC_DAG_PB, sha256Multihash(block));
+    blocks.set(cid, block);
+
+    return { cid, dagSize: block.length + links.reduce((sum, link) => sum + link.tsize, 0) };
+  };
+
+  const root = encodeDirectory(tree);
+  return {
+    cid: root.cid,
+    dagSize: root.dagSize,
+    size: entries.reduce((sum, entry) => sum + entry.size, 0),
+    files: entries,
+    blocks
+  };
+}
+
+// Minimal protobuf reader, enough for dag-pb and UnixFS messages
+function decodeFields(buffer) {
+  const fields = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const key = decodeVarint(buffer, offset);
+    offset += key.length;
+    const field = Math.floor(key.value / 8);
+    const wireType = key.value % 8;
+
+    if (wireType === 0) {
+      const value = decodeVarint(buffer, offset);
+      offset += value.length;
+      fields.push({ field, value: value.value });
+    } else if (wireType === 2) {
+      const length = decodeVarint(buffer, offset);
+      offset += length.length;
+      if (offset + length.value > buffer.length) throw new Error('Truncated protobuf field');
+      fields.push({ field, value: buffer.subarray(offset, offset + length.value) });
+      offset += length.value;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+
+  return fields;
+}
+
+function decodePBNode(block) {
+  const node = { data: null, links: [] };
+
+  decodeFields(block).forEach(({ field, value }) => {
+    if (field === 1) node.data = value;
+    if (field !== 2) return;
+
+    const link = { hash: null, name: '', tsize: 0 };
+    decodeFields(value).forEach(part => {
+      if (part.field === 1) link.hash = part.value;
+      if (part.field === 2) link.name = part.value.toString('utf8');
+      if (part.field === 3) link.tsize = part.value;
+    });
+    node.links.push(link);
+  });
+
+  return node;
+}
+
+const UNIXFS_TYPES = ['raw', 'directory', 'file', 'metadata', 'symlink', 'hamt-shard'];
+
+// Check a block against its CID and describe the UnixFS node it holds
+function decodeBlock(cid, block) {
+  const parsed = parseCid(cid);
+
+  if (parsed.multihash[0] !== HASH_SHA2_256) {
+    throw new Error(`Unsupported hash function in ${cid}`);
+  }
+  if (!sha256Multihash(block).equals(Buffer.from(parsed.multihash))) {
+    throw new Error(`Block does not hash to ${cid}`);
+  }
+  if (parsed.codec === CODEC_RAW) {
+    return { cid, type: 'file', size: block.length, links: [] };
+  }
+  if (parsed.codec !== CODEC_DAG_PB) {
+    throw new Error(`Unsupported codec 0x${parsed.codec.toString(16)}`);
+  }
+
+  const node = decodePBNode(block);
+  let type = 'file';
+  let filesize;
+  if (node.data) {
+    decodeFields(node.data).forEach(({ field, value }) => {
+      if (field === 1) type = UNIXFS_TYPES[value] || 'unknown';
+      if (field === 3) filesize = value;
+    });
+  }
+  if (type === 'raw') type = 'file';
+
+  const links = node.links.map(link => ({ name: link.name, cid: cidFromBytes(link.hash), size: link.tsize }));
+  return {
+    cid,
+    type,
+    size: filesize !== undefined ? filesize : links.reduce((sum, link) => sum + link.size, block.length),
+    links
+  };
+}
+
+module.exports = {
+  computeCid,
+  verifyContent,
+  ContentVerifier,
+  buildDirectory,
+  decodeBlock,
+  parseCid,
+  formatCid,
+  UnixFSFileBuilder,
+  encodeBase58,
+  decodeBase58,
+  encodeBase32,
+  decodeBase32,
+  CODEC_DAG_PB,
+  CODEC_RAW
+};
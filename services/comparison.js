@@ -0,0 +1,300 @@
+const modelPackageService = require('./packages');
+const { escapeHtml, formatValue, markdownTable, htmlTable: table, htmlDocument } = require('./render');
+
+// Metrics where a smaller value is the better one; everything else numeric
+// is treated as higher-is-better
+const LOWER_IS_BETTER = new Set(['loss', 'val_loss', 'mse', 'rmse', 'mae', 'mape', 'smape', 'log_loss', 'brier_score']);
+
+// Keys SHAP summaries are commonly stored under, mapping feature -> importance
+const SHAP_IMPORTANCE_KEYS = ['feature_importance', 'mean_abs_shap', 'global_importance', 'importance'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Drops floating point noise such as 0.89 - 0.85 = 0.040000000000000036
+const round = value => Number(value.toPrecision(12));
+
+// Architecture and training config sit at the top level of older blob
+// packages and inside model_metadata for directory packages
+function sections(modelPackage) {
+  const metadata = modelPackage.metadata || {};
+  const { input_features: inputFeatures, output_features: outputFeatures, ...architecture } =
+    modelPackage.model_architecture || metadata.architecture || {};
+
+  // Feature lists are diffed as lists rather than as architecture fields
+  return {
+    metrics: modelPackage.performance_metrics || {},
+    architecture,
+    trainingConfig: modelPackage.training_config || metadata.training_config || {},
+    inputFeatures: inputFeatures || metadata.features || [],
+    outputFeatures: outputFeatures || [],
+    shap: topShapFeatures(modelPackage.shap_analysis || {})
+  };
+}
+
+// [{ feature, importance }] sorted by descending absolute importance
+function topShapFeatures(shap) {
+  let entries = [];
+
+  const source = SHAP_IMPORTANCE_KEYS.map(key => shap[key]).find(value => value !== undefined) ||
+    shap.top_features || shap;
+
+  if (Array.isArray(source)) {
+    entries = source.map(item => typeof item === 'string'
+      ? { feature: item, importance: null }
+      : { feature: item.feature || item.name, importance: item.importance ?? item.value ?? item.mean_abs_shap ?? null });
+  } else if (isPlainObject(source)) {
+    entries = Object.entries(source)
+      .filter(([, value]) => typeof value === 'number')
+      .map(([feature, importance]) => ({ feature, importance }));
+  }
+
+  return entries
+    .filter(entry => entry.feature)
+    .sort((a, b) => Math.abs(b.importance ?? 0) - Math.abs(a.importance ?? 0));
+}
+
+function diffMetrics(base, candidate) {
+  const names = [...new Set([...Object.keys(base), ...Object.keys(candidate)])].sort();
+
+  return names.map(name => {
+    const a = base[name];
+    const b = candidate[name];
+    const numeric = typeof a === 'number' && typeof b === 'number';
+    const delta = numeric ? round(b - a) : null;
+    const lowerIsBetter = LOWER_IS_BETTER.has(name);
+
+    return {
+      metric: name,
+      base: a ?? null,
+      candidate: b ?? null,
+      delta,
+      relative: numeric && a !== 0 ? round(delta / Math.abs(a)) : null,
+      changed: JSON.stringify(a) !== JSON.stringify(b),
+      improved: numeric && delta !== 0 ? (lowerIsBetter ? delta < 0 : delta > 0) : null
+    };
+  });
+}
+
+// Leaf-level changes between two JSON values, as dotted paths. Arrays are
+// compared as whole values.
+function diffObjects(base, candidate, prefix = '') {
+  const changes = [];
+  const keys = [...new Set([...Object.keys(base || {}), ...Object.keys(candidate || {})])].sort();
+
+  keys.forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const a = base?.[key];
+    const b = candidate?.[key];
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+      changes.push(...diffObjects(a, b, path));
+    } else if (a === undefined) {
+      changes.push({ path, change: 'added', base: null, candidate: b });
+    } else if (b === undefined) {
+      changes.push({ path, change: 'removed', base: a, candidate: null });
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ path, change: 'changed', base: a, candidate: b });
+    }
+  });
+
+  return changes;
+}
+
+function diffLists(base, candidate) {
+  const inBase = new Set(base);
+  const inCandidate = new Set(candidate);
+  const common = base.filter(item => inCandidate.has(item));
+
+  return {
+    added: candidate.filter(item => !inBase.has(item)),
+    removed: base.filter(item => !inCandidate.has(item)),
+    unchanged: common.length,
+    reordered: common.join('\u0000') !== candidate.filter(item => inBase.has(item)).join('\u0000')
+  };
+}
+
+function diffShap(base, candidate, top) {
+  const baseTop = base.slice(0, top);
+  const candidateTop = candidate.slice(0, top);
+  const rank = (list, feature) => {
+    const index = list.findIndex(entry => entry.feature === feature);
+    return index === -1 ? null : index + 1;
+  };
+
+  const features = [...new Set([...baseTop, ...candidateTop].map(entry => entry.feature))];
+  return {
+    top,
+    base: baseTop,
+    candidate: candidateTop,
+    features: features.map(feature => {
+      const baseRank = rank(baseTop, feature);
+      const candidateRank = rank(candidateTop, feature);
+      return {
+        feature,
+        baseRank,
+        candidateRank,
+        rankChange: baseRank && candidateRank ? baseRank - candidateRank : null,
+        status: !baseRank ? 'entered' : !candidateRank ? 'dropped' : baseRank === candidateRank ? 'unchanged' : 'moved',
+        baseImportance: base.find(entry => entry.feature === feature)?.importance ?? null,
+        candidateImportance: candidate.find(entry => entry.feature === feature)?.importance ?? null
+      };
+    }).sort((a, b) => (a.candidateRank ?? Infinity) - (b.candidateRank ?? Infinity))
+  };
+}
+
+function formatDelta(value, relative) {
+  if (value === null) return '—';
+  const sign = value > 0 ? '+' : '';
+  return `${sign}${formatValue(value)}${relative !== null ? ` (${sign}${(relative * 100).toFixed(2)}%)` : ''}`;
+}
+
+const verdict = row => row.improved === null ? '' : row.improved ? '▲ better' : '▼ worse';
+
+// Diffs two stored model packages (blob or directory layout): metrics,
+// architecture, training config, feature lists and top SHAP features, with
+// JSON, Markdown and HTML renderings of the same report
+class ModelComparisonService {
+  isLowerBetter(metric) {
+    return LOWER_IS_BETTER.has(metric);
+  }
+
+  async loadPackage(ipfsHash) {
+    const { layout, modelPackage, verified } = await modelPackageService.getPackage(ipfsHash);
+
+    return {
+      summary: {
+        ipfsHash,
+        modelName: modelPackage.modelName || modelPackage.metadata?.modelName || null,
+        version: modelPackage.version || modelPackage.metadata?.version || null,
+        timestamp: modelPackage.timestamp || null,
+        layout,
+        verified
+      },
+      sections: sections(modelPackage),
+      metadata: modelPackage.metadata || {}
+    };
+  }
+
+  async compare(baseHash, candidateHash, { top = 10 } = {}) {
+    const [base, candidate] = await Promise.all([this.loadPackage(baseHash), this.loadPackage(candidateHash)]);
+
+    const metrics = diffMetrics(base.sections.metrics, candidate.sections.metrics);
+    const architecture = diffObjects(base.sections.architecture, candidate.sections.architecture);
+    const trainingConfig = diffObjects(base.sections.trainingConfig, candidate.sections.trainingConfig);
+    const inputFeatures = diffLists(base.sections.inputFeatures, candidate.sections.inputFeatures);
+    const outputFeatures = diffLists(base.sections.outputFeatures, candidate.sections.outputFeatures);
+    const shap = diffShap(base.sections.shap, candidate.sections.shap, top);
+
+    return {
+      base: base.summary,
+      candidate: candidate.summary,
+      summary: {
+        metricsImproved: metrics.filter(row => row.improved === true).length,
+        metricsRegressed: metrics.filter(row => row.improved === false).length,
+        architectureChanges: architecture.length,
+        trainingConfigChanges: trainingConfig.length,
+        featuresAdded: inputFeatures.added.length + outputFeatures.added.length,
+        featuresRemoved: inputFeatures.removed.length + outputFeatures.removed.length,
+        shapTopFeaturesChanged: shap.features.filter(row => row.status !== 'unchanged').length
+      },
+      performanceMetrics: metrics,
+      modelArchitecture: architecture,
+      trainingConfig,
+      features: { input: inputFeatures, output: outputFeatures },
+      shap,
+      comparedAt: new Date().toISOString()
+    };
+  }
+
+  renderMarkdown(diff) {
+    const label = model => `${model.modelName || 'model'}${model.version ? ` ${model.version}` : ''} (\`${model.ipfsHash}\`)`;
+    const lines = [
+      '# Model comparison',
+      '',
+      `- **Base:** ${label(diff.base)}`,
+      `- **Candidate:** ${label(diff.candidate)}`,
+      `- **Compared:** ${diff.comparedAt}`,
+      '',
+      `${diff.summary.metricsImproved} metrics improved, ${diff.summary.metricsRegressed} regressed; ` +
+        `${diff.summary.architectureChanges} architecture and ${diff.summary.trainingConfigChanges} training config changes.`,
+      '',
+      '## Performance metrics',
+      '',
+      markdownTable(['Metric', 'Base', 'Candidate', 'Delta', ''],
+        diff.performanceMetrics.map(row =>
+          [row.metric, formatValue(row.base), formatValue(row.candidate), formatDelta(row.delta, row.relative), verdict(row)]),
+        [null, 'right', 'right', 'right'])
+    ];
+
+    const changeTable = (title, changes) => {
+      lines.push('', `## ${title}`, '');
+      if (changes.length === 0) {
+        lines.push('No changes.');
+        return;
+      }
+      lines.push(markdownTable(['Field', 'Change', 'Base', 'Candidate'],
+        changes.map(change => [change.path, change.change, formatValue(change.base), formatValue(change.candidate)])));
+    };
+    changeTable('Model architecture', diff.modelArchitecture);
+    changeTable('Training config', diff.trainingConfig);
+
+    lines.push('', '## Features', '');
+    ['input', 'output'].forEach(kind => {
+      const list = diff.features[kind];
+      lines.push(`- **${kind}:** ${list.unchanged} unchanged` +
+        `${list.added.length ? `; added ${list.added.map(item => `\`${item}\``).join(', ')}` : ''}` +
+        `${list.removed.length ? `; removed ${list.removed.map(item => `\`${item}\``).join(', ')}` : ''}` +
+        `${list.reordered ? '; order changed' : ''}`);
+    });
+
+    lines.push('', `## Top ${diff.shap.top} SHAP features`, '');
+    if (diff.shap.features.length === 0) {
+      lines.push('No SHAP feature importances in either package.');
+    } else {
+      lines.push(markdownTable(['Feature', 'Base rank', 'Candidate rank', 'Status', 'Base importance', 'Candidate importance'],
+        diff.shap.features.map(row => [row.feature, formatValue(row.baseRank), formatValue(row.candidateRank), row.status,
+          formatValue(row.baseImportance), formatValue(row.candidateImportance)]),
+        [null, 'right', 'right', null, 'right', 'right']));
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  renderHtml(diff) {
+    const label = model => `${model.modelName || 'model'}${model.version ? ` ${model.version}` : ''} (${model.ipfsHash})`;
+    const featureLine = (kind, list) => `<li><strong>${kind}:</strong> ${list.unchanged} unchanged` +
+      `${list.added.length ? `; added ${escapeHtml(list.added.join(', '))}` : ''}` +
+      `${list.removed.length ? `; removed ${escapeHtml(list.removed.join(', '))}` : ''}` +
+      `${list.reordered ? '; order changed' : ''}</li>`;
+
+    return htmlDocument('Model comparison', `<h1>Model comparison</h1>
+<ul>
+  <li><strong>Base:</strong> ${escapeHtml(label(diff.base))}</li>
+  <li><strong>Candidate:</strong> ${escapeHtml(label(diff.candidate))}</li>
+  <li><strong>Compared:</strong> ${escapeHtml(diff.comparedAt)}</li>
+</ul>
+<p>${diff.summary.metricsImproved} metrics improved, ${diff.summary.metricsRegressed} regressed;
+${diff.summary.architectureChanges} architecture and ${diff.summary.trainingConfigChanges} training config changes.</p>
+<h2>Performance metrics</h2>
+${table(['Metric', 'Base', 'Candidate', 'Delta', ''], diff.performanceMetrics.map(row =>
+    [row.metric, formatValue(row.base), formatValue(row.candidate), formatDelta(row.delta, row.relative), verdict(row)]))}
+<h2>Model architecture</h2>
+${table(['Field', 'Change', 'Base', 'Candidate'], diff.modelArchitecture.map(change =>
+    [change.path, change.change, formatValue(change.base), formatValue(change.candidate)]))}
+<h2>Training config</h2>
+${table(['Field', 'Change', 'Base', 'Candidate'], diff.trainingConfig.map(change =>
+    [change.path, change.change, formatValue(change.base), formatValue(change.candidate)]))}
+<h2>Features</h2>
+<ul>
+${featureLine('input', diff.features.input)}
+${featureLine('output', diff.features.output)}
+</ul>
+<h2>Top ${diff.shap.top} SHAP features</h2>
+${table(['Feature', 'Base rank', 'Candidate rank', 'Status', 'Base importance', 'Candidate importance'], diff.shap.features.map(row =>
+    [row.feature, formatValue(row.baseRank), formatValue(row.candidateRank), row.status, formatValue(row.baseImportance), formatValue(row.candidateImportance)]))}`);
+  }
+}
+
+// Create and export singleton instance
+const modelComparisonService = new ModelComparisonService();
+module.exports = modelComparisonService;
@@ -0,0 +1,18 @@
+// Runs `task` over `items` with at most `concurrency` in flight, for fan-outs
+// (package reads, provider RPC calls) that must not flood a backend
+async function mapLimit(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+module.exports = { mapLimit };
@@ -0,0 +1,96 @@
+const { ServiceError } = require('./errors');
+
+// Keyset pagination over an in-memory listing. Items are ordered by a sort
+// value and then by CID, so the order is total, and a cursor records the
+// sort key and CID of the item a page ended (or started) at. The next page
+// starts right after that key whatever was added or removed in between, so
+// pages never skip or repeat an item the way offsets do.
+//
+// Cursors are opaque to clients: base64url JSON of
+// { s: sort, o: order, k: key value, c: cid, d: 'next' | 'prev' }.
+
+function encodeCursor(sort, order, key, direction) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, k: key.value, c: key.cid, d: direction })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || typeof decoded.c !== 'string' || !['next', 'prev'].includes(decoded.d)) {
+    throw new ServiceError('Invalid cursor', 400);
+  }
+  if (decoded.s !== sort || decoded.o !== order) {
+    throw new ServiceError(`Cursor was issued for sort=${decoded.s}&order=${decoded.o}; repeat those or start without a cursor`, 400);
+  }
+
+  return { key: { value: decoded.k ?? null, cid: decoded.c }, direction: decoded.d };
+}
+
+// Items without a sort value go last in either order
+function compareKeys(a, b, order) {
+  if (a.value !== b.value) {
+    if (a.value === null) return 1;
+    if (b.value === null) return -1;
+
+    const comparison = typeof a.value === 'number' && typeof b.value === 'number'
+      ? a.value - b.value
+      : String(a.value).localeCompare(String(b.value));
+    if (comparison !== 0) return order === 'asc' ? comparison : -comparison;
+  }
+
+  return a.cid < b.cid ? -1 : a.cid > b.cid ? 1 : 0;
+}
+
+// One page of `items`. keyOf(item) returns { value, cid } where value is a
+// number, a string or null. Without a cursor, `offset` picks the page.
+function paginate(items, { keyOf, sort, order = 'desc', limit = 100, cursor, offset = 0 }) {
+  const keyed = items
+    .map(item => ({ item, key: keyOf(item) }))
+    .sort((a, b) => compareKeys(a.key, b.key, order));
+
+  let start;
+  let end;
+  let boundary = null;
+
+  if (cursor) {
+    boundary = decodeCursor(cursor, sort, order);
+
+    // The boundary item itself belongs to the page the cursor came from
+    if (boundary.direction === 'next') {
+      start = keyed.findIndex(entry => compareKeys(entry.key, boundary.key, order) > 0);
+      if (start === -1) start = keyed.length;
+      end = Math.min(keyed.length, start + limit);
+    } else {
+      end = keyed.findIndex(entry => compareKeys(entry.key, boundary.key, order) >= 0);
+      if (end === -1) end = keyed.length;
+      start = Math.max(0, end - limit);
+    }
+  } else {
+    start = Math.min(Math.max(0, offset), keyed.length);
+    end = Math.min(keyed.length, start + limit);
+  }
+
+  const page = keyed.slice(start, end);
+  const first = page[0]?.key || boundary?.key;
+  const last = page[page.length - 1]?.key || boundary?.key;
+
+  return {
+    items: page.map(entry => entry.item),
+    pagination: {
+      total: keyed.length,
+      limit,
+      offset: start,
+      returned: page.length,
+      hasMore: end < keyed.length,
+      next: end < keyed.length && last ? encodeCursor(sort, order, last, 'next') : null,
+      prev: start > 0 && first ? encodeCursor(sort, order, first, 'prev') : null
+    }
+  };
+}
+
+module.exports = { paginate };
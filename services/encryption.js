@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./jsonStore');
+const { ServiceError } = require('./errors');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Sealed objects start with this header, so they are recognised on the way
+// back without a metadata lookup
+const MAGIC = Buffer.from('RMENC1');
+
+const KEY_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+// AES-256-GCM; the output is iv || tag || ciphertext
+function encryptBytes(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(aad);
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function decryptBytes(key, sealed, aad) {
+  const iv = sealed.subarray(0, IV_BYTES);
+  const tag = sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  if (aad) decipher.setAAD(aad);
+
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+// Envelope encryption for pinned content. Every object (or model package)
+// is encrypted with its own random data key; the data key is wrapped by a
+// named master key from the local keyring and recorded in the pin's
+// keyvalues as `keyId` and `wrappedKey`. Only ciphertext ever leaves the
+// service, and rotating a master key re-wraps data keys in the pin metadata
+// without touching the pinned content (so CIDs never change).
+//
+// The keyring lives in KEYRING_FILE (default DATA_DIR/keyring.json) and is
+// created with a first master key on first use. Losing it makes every
+// encrypted pin unreadable, so back it up separately from the data dir.
+class EncryptionService {
+  constructor() {
+    this.algorithm = ALGORITHM;
+    this.encryptByDefault = (process.env.ENCRYPT_UPLOADS || 'false').toLowerCase() === 'true';
+    this.keyring = new JsonStore(
+      path.resolve(process.env.KEYRING_FILE || path.join(process.env.DATA_DIR || './data', 'keyring.json')),
+      { activeKeyId: null, keys: {} }
+    );
+  }
+
+  // Whether an upload should be encrypted: the request's choice, else ENCRYPT_UPLOADS
+  shouldEncrypt(requested) {
+    if (requested === undefined || requested === null) return this.encryptByDefault;
+    return requested === true || requested === 'true';
+  }
+
+  async saveKeyring(mutator) {
+    const result = await this.keyring.update(mutator);
+    await fs.promises.chmod(this.keyring.filePath, 0o600);
+    return result;
+  }
+
+  listKeys() {
+    const { activeKeyId, keys } = this.keyring.load();
+
+    return Object.values(keys)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(({ material, ...key }) => ({ ...key, active: key.id === activeKeyId }));
+  }
+
+  masterKey(keyId) {
+    const key = this.keyring.load().keys[keyId];
+    if (!key) {
+      throw new ServiceError(`Master key "${keyId}" is not in the keyring`, 500);
+    }
+    return Buffer.from(key.material, 'base64');
+  }
+
+  // Add a master key and make it the one new data keys are wrapped with
+  async createKey({ id } = {}) {
+    const keyId = id || `mk-${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      throw new ServiceError('Key id must be 1-64 letters, digits, ".", "-" or "_"', 400);
+    }
+    if (this.keyring.load().keys[keyId]) {
+      throw new ServiceError(`Master key "${keyId}" already exists`, 409);
+    }
+
+    await this.saveKeyring(data => {
+      data.keys[keyId] = {
+        id: keyId,
+        material: crypto.randomBytes(KEY_BYTES).toString('base64'),
+        createdAt: new Date().toISOString()
+      };
+      data.activeKeyId = keyId;
+    });
+
+    console.log(`🔐 Master key ${keyId} created and activated`);
+    return this.listKeys().find(key => key.id === keyId);
+  }
+
+  async activeKeyId() {
+    const { activeKeyId } = this.keyring.load();
+    if (activeKeyId) return activeKeyId;
+
+    const key = await this.createKey();
+    return key.id;
+  }
+
+  // Remove a master key. The caller must make sure no pin still uses it.
+  async deleteKey(keyId) {
+    const { activeKeyId, keys } = this.keyring.load();
+    if (!keys[keyId]) {
+      throw new ServiceError(`Master key "${keyId}" not found`, 404);
+    }
+    if (keyId === activeKeyId) {
+      throw new ServiceError(`Master key "${keyId}" is active; create a new key first`, 409);
+    }
+
+    await this.saveKeyring(data => {
+      delete data.keys[keyId];
+    });
+  }
+
+  // Wrapped with the key id as associated data, so a wrapped key can't be
+  // passed off as belonging to a different master key
+  wrap(dataKey, keyId) {
+    return encryptBytes(this.masterKey(keyId), dataKey, Buffer.from(keyId)).toString('base64');
+  }
+
+  unwrap(wrappedKey, keyId) {
+    try {
+      return decryptBytes(this.masterKey(keyId), Buffer.from(wrappedKey, 'base64'), Buffer.from(keyId));
+    } catch (error) {
+      if (error instanceof ServiceError) throw error;
+      throw new ServiceError(`Data key could not be unwrapped with master key "${keyId}"`, 500);
+    }
+  }
+
+  // A fresh data key and the keyvalues that record it on the pin
+  async createDataKey() {
+    const keyId = await this.activeKeyId();
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+
+    return { dataKey, keyvalues: { keyId, wrappedKey: this.wrap(dataKey, keyId) } };
+  }
+
+  seal(plaintext, dataKey) {
+    return Buffer.concat([MAGIC, encryptBytes(dataKey, plaintext, MAGIC)]);
+  }
+
+  isSealed(content) {
+    return content.length >= MAGIC.length + IV_BYTES + TAG_BYTES &&
+      content.subarray(0, MAGIC.length).equals(MAGIC);
+  }
+
+  // Decrypt sealed content with the data key recorded in a pin's keyvalues
+  open(content, keyvalues = {}) {
+    if (!keyvalues.keyId || !keyvalues.wrappedKey) {
+      throw new ServiceError('Content is encrypted but its pin has no data key recorded', 422);
+    }
+
+    const dataKey = this.unwrap(keyvalues.wrappedKey, keyvalues.keyId);
+    try {
+      return decryptBytes(dataKey, content.subarray(MAGIC.length), MAGIC);
+    } catch (error) {
+      throw new ServiceError('Decryption failed: the content or its data key has been altered', 422);
+    }
+  }
+
+  // keyvalues re-wrapping the same data key under another master key
+  rewrap(keyvalues, toKeyId) {
+    const dataKey = this.unwrap(keyvalues.wrappedKey, keyvalues.keyId);
+    return { keyId: toKeyId, wrappedKey: this.wrap(dataKey, toKeyId) };
+  }
+}
+
+// Create and export singleton instance
+const encryptionService = new EncryptionService();
+module.exports = encryptionService;
@@ -0,0 +1,11 @@
+// Error carrying the HTTP status a route should respond with
+class ServiceError extends Error {
+  constructor(message, status = 500, details) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+module.exports = { ServiceError };
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Lifecycle events, published by the routes and services where they happen
+const EVENT_TYPES = [
+  'model.stored',
+  'model.unpinned',
+  'model.registered',
+  'model.promoted',
+  'model.demoted',
+  'upload.failed'
+];
+
+// Upload progress: frequent and only useful while it happens, so these go to
+// live subscribers (the event stream) but not to webhooks
+const PROGRESS_TYPES = [
+  'upload.started',
+  'upload.progress'
+];
+
+// Recent events kept so a reconnecting stream can resume (Last-Event-ID)
+const REPLAY_SIZE = parseInt(process.env.EVENT_REPLAY_SIZE || '500');
+
+// In-process event bus. Subscribers (webhooks, the event stream) receive
+// events as
+//   { id, type, project, occurredAt, data }
+// and must not throw or block: they run synchronously inside publish().
+class EventBus {
+  constructor() {
+    this.types = EVENT_TYPES;
+    this.progressTypes = PROGRESS_TYPES;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.recent = [];
+  }
+
+  publish(type, data = {}, { project = null } = {}) {
+    const progress = PROGRESS_TYPES.includes(type);
+    if (!progress && !EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type "${type}"`);
+    }
+
+    const event = {
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      project,
+      occurredAt: new Date().toISOString(),
+      data
+    };
+
+    this.recent.push(event);
+    if (this.recent.length > REPLAY_SIZE) this.recent.shift();
+
+    // A failing subscriber must never fail the operation that published the event
+    const listeners = [
+      ...this.emitter.listeners('all'),
+      ...(progress ? [] : this.emitter.listeners('lifecycle'))
+    ];
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`❌ Event subscriber failed on ${type}:`, error.message);
+      }
+    }
+
+    return event;
+  }
+
+  // Lifecycle events only, unless `progress` is set. Returns a function that
+  // removes the subscription.
+  subscribe(listener, { progress = false } = {}) {
+    const channel = progress ? 'all' : 'lifecycle';
+    this.emitter.on(channel, listener);
+    return () => this.emitter.off(channel, listener);
+  }
+
+  // Events published after the one with id `lastId`, or null when it is no
+  // longer (or never was) in the replay buffer
+  since(lastId) {
+    const index = this.recent.findIndex(event => event.id === lastId);
+    return index === -1 ? null : this.recent.slice(index + 1);
+  }
+}
+
+// Create and export singleton instance
+const eventBus = new EventBus();
+module.exports = eventBus;
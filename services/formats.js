@@ -0,0 +1,37 @@
+const path = require('path');
+
+// Known model artifact formats, keyed by file extension
+const FORMATS = {
+  '.safetensors': { format: 'safetensors', contentType: 'application/octet-stream' },
+  '.pt': { format: 'pytorch', contentType: 'application/octet-stream' },
+  '.pth': { format: 'pytorch', contentType: 'application/octet-stream' },
+  '.ckpt': { format: 'checkpoint', contentType: 'application/octet-stream' },
+  '.onnx': { format: 'onnx', contentType: 'application/octet-stream' },
+  '.joblib': { format: 'joblib', contentType: 'application/octet-stream' },
+  '.pkl': { format: 'pickle', contentType: 'application/octet-stream' },
+  '.pickle': { format: 'pickle', contentType: 'application/octet-stream' },
+  '.h5': { format: 'keras', contentType: 'application/x-hdf5' },
+  '.keras': { format: 'keras', contentType: 'application/zip' },
+  '.gguf': { format: 'gguf', contentType: 'application/octet-stream' },
+  '.bin': { format: 'binary', contentType: 'application/octet-stream' },
+  '.json': { format: 'json', contentType: 'application/json' },
+  '.csv': { format: 'csv', contentType: 'text/csv' },
+  '.parquet': { format: 'parquet', contentType: 'application/vnd.apache.parquet' },
+  '.zip': { format: 'zip', contentType: 'application/zip' },
+  '.tar': { format: 'tar', contentType: 'application/x-tar' },
+  '.gz': { format: 'gzip', contentType: 'application/gzip' }
+};
+
+// Work out the artifact format and a usable content type from an uploaded
+// file's name and the content type the client declared
+function detectFormat(filename = '', declaredType) {
+  const known = FORMATS[path.extname(filename).toLowerCase()];
+  const generic = !declaredType || declaredType === 'application/octet-stream';
+
+  return {
+    format: known ? known.format : 'unknown',
+    contentType: generic && known ? known.contentType : (declaredType || 'application/octet-stream')
+  };
+}
+
+module.exports = { detectFormat, FORMATS };
@@ -0,0 +1,253 @@
+const axios = require('axios');
+
+// Used when IPFS_GATEWAYS is not set. Pinata's gateway first (faster and
+// more reliable for our own pins), then public fallbacks.
+const DEFAULT_GATEWAYS = [
+  { name: 'pinata', label: 'Pinata', url: 'https://gateway.pinata.cloud/ipfs' },
+  { name: 'ipfsIo', label: 'public IPFS', url: 'https://ipfs.io/ipfs' },
+  { name: 'cloudflare', label: 'Cloudflare IPFS', url: 'https://cloudflare-ipfs.com/ipfs' },
+  { name: 'dweb', label: 'dweb.link', url: 'https://dweb.link/ipfs' }
+];
+
+// Number of recent requests each gateway's score is based on
+const WINDOW_SIZE = 20;
+
+// IPFS_GATEWAYS is a comma-separated list of gateway base URLs (up to and
+// including /ipfs), each optionally named: "pinata=https://gateway.pinata.cloud/ipfs,https://ipfs.io/ipfs"
+function parseGateways(value) {
+  if (!value) return DEFAULT_GATEWAYS;
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const match = /^([\w-]+)=(.+)$/.exec(entry);
+    const url = (match ? match[2] : entry).replace(/\/$/, '');
+    const name = match ? match[1] : new URL(url).hostname;
+    return { name, label: name, url };
+  });
+}
+
+// Pool of HTTP gateways that content is fetched through. Requests are hedged:
+// the best-scoring gateway is tried first, and another one joins the race
+// each time GATEWAY_HEDGE_DELAY_MS passes without an answer or a gateway
+// fails. The first acceptable response wins and the rest are cancelled.
+//
+// Each gateway has a circuit breaker: after GATEWAY_FAILURE_THRESHOLD
+// consecutive failures it is skipped for GATEWAY_COOLDOWN_SECONDS, then a
+// single trial request decides whether it is closed again.
+class GatewayPool {
+  constructor() {
+    this.timeoutMs = parseInt(process.env.GATEWAY_TIMEOUT_MS || '20000');
+    this.hedgeDelayMs = parseInt(process.env.GATEWAY_HEDGE_DELAY_MS || '750');
+    this.maxParallel = parseInt(process.env.GATEWAY_MAX_PARALLEL || '4');
+    this.failureThreshold = parseInt(process.env.GATEWAY_FAILURE_THRESHOLD || '3');
+    this.cooldownMs = parseFloat(process.env.GATEWAY_COOLDOWN_SECONDS || '60') * 1000;
+
+    this.gateways = parseGateways(process.env.IPFS_GATEWAYS).map(gateway => ({
+      ...gateway,
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialInFlight: false,
+      samples: [],
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null
+    }));
+  }
+
+  // Open breakers become half-open once their cooldown has passed
+  isAvailable(gateway, now = Date.now()) {
+    if (gateway.state === 'open' && now - gateway.openedAt >= this.cooldownMs) {
+      gateway.state = 'half-open';
+    }
+    if (gateway.state === 'half-open') return !gateway.trialInFlight;
+    return gateway.state === 'closed';
+  }
+
+  record(gateway, ok, latencyMs, errorMessage) {
+    const now = new Date();
+    gateway.samples.push({ ok, latencyMs });
+    if (gateway.samples.length > WINDOW_SIZE) gateway.samples.shift();
+
+    if (ok) {
+      if (gateway.state !== 'closed') console.log(`🟢 Gateway ${gateway.name} recovered`);
+      gateway.state = 'closed';
+      gateway.consecutiveFailures = 0;
+      gateway.lastSuccessAt = now.toISOString();
+      return;
+    }
+
+    gateway.consecutiveFailures++;
+    gateway.lastError = errorMessage;
+    gateway.lastFailureAt = now.toISOString();
+
+    if (gateway.state === 'half-open' || (gateway.state === 'closed' && gateway.consecutiveFailures >= this.failureThreshold)) {
+      gateway.state = 'open';
+      gateway.openedAt = now.getTime();
+      console.warn(`🔴 Gateway ${gateway.name} skipped for ${this.cooldownMs / 1000}s after ${gateway.consecutiveFailures} failures`);
+    }
+  }
+
+  // Smoothed success rate, discounted by average latency in seconds
+  score(gateway) {
+    const successes = gateway.samples.filter(sample => sample.ok);
+    const successRate = (successes.length + 1) / (gateway.samples.length + 2);
+    const avgLatencyMs = successes.length > 0
+      ? successes.reduce((sum, sample) => sum + sample.latencyMs, 0) / successes.length
+      : 0;
+
+    return successRate / (1 + avgLatencyMs / 1000);
+  }
+
+  // GET `ipfsPath` through the pool. `accept(response, gatewayName)` turns a
+  // response into the result, or throws to reject it (which counts against
+  // that gateway) so the race carries on.
+  fetch(ipfsPath, accept, { params, headers, responseType = 'arraybuffer' } = {}) {
+    const now = Date.now();
+    let candidates = this.gateways
+      .filter(gateway => this.isAvailable(gateway, now))
+      .sort((a, b) => this.score(b) - this.score(a));
+
+    if (candidates.length === 0) {
+      // Every breaker is open; trying anyway beats failing outright
+      candidates = [...this.gateways].sort((a, b) => a.openedAt - b.openedAt);
+    }
+
+    if (candidates.length === 0) {
+      return Promise.reject(new Error('No IPFS gateways configured'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const controllers = new Set();
+      const failures = [];
+      let next = 0;
+      let inFlight = 0;
+      let settled = false;
+      let hedgeTimer = null;
+
+      const finish = () => {
+        settled = true;
+        clearTimeout(hedgeTimer);
+        controllers.forEach(controller => controller.abort());
+      };
+
+      const launch = () => {
+        if (settled || next >= candidates.length) return;
+
+        const gateway = candidates[next++];
+        const controller = new AbortController();
+        const startedAt = Date.now();
+        controllers.add(controller);
+        inFlight++;
+        if (gateway.state === 'half-open') gateway.trialInFlight = true;
+
+        console.log(`🔄 Trying ${gateway.label} gateway...`);
+        axios.get(`${gateway.url}/${ipfsPath}`, {
+          params,
+          headers,
+          timeout: this.timeoutMs,
+          responseType,
+          signal: controller.signal
+        })
+          .then(response => {
+            controllers.delete(controller);
+            if (settled) {
+              // Lost the race after all
+              if (responseType === 'stream') response.data.destroy();
+              this.record(gateway, true, Date.now() - startedAt);
+              return;
+            }
+
+            const result = accept(response, gateway.name);
+            this.record(gateway, true, Date.now() - startedAt);
+            finish();
+
+            console.log(`✅ IPFS fetch successful from ${gateway.label} gateway`);
+            resolve(result);
+          })
+          .catch(error => {
+            controllers.delete(controller);
+            inFlight--;
+            // Cancelled because another gateway won: not the gateway's fault
+            if (axios.isCancel(error)) return;
+
+            this.record(gateway, false, Date.now() - startedAt, error.message);
+            console.error(`❌ IPFS fetch from ${gateway.label} gateway failed:`, error.message);
+            failures.push(`${gateway.name}: ${error.message}`);
+
+            if (settled) return;
+            if (next < candidates.length) {
+              launch();
+            } else if (inFlight === 0) {
+              finish();
+              reject(new Error(failures.join('; ')));
+            }
+          })
+          .finally(() => {
+            gateway.trialInFlight = false;
+          });
+
+        clearTimeout(hedgeTimer);
+        if (next < candidates.length && inFlight < this.maxParallel) {
+          hedgeTimer = setTimeout(launch, this.hedgeDelayMs);
+        }
+      };
+
+      launch();
+    });
+  }
+
+  // Public URLs for a CID on every configured gateway
+  urlsFor(ipfsHash) {
+    return this.gateways.reduce((urls, gateway) => {
+      urls[gateway.name] = `${gateway.url}/${ipfsHash}`;
+      return urls;
+    }, {});
+  }
+
+  health() {
+    const now = Date.now();
+
+    return this.gateways.map(gateway => {
+      const successes = gateway.samples.filter(sample => sample.ok);
+      this.isAvailable(gateway, now);
+
+      return {
+        name: gateway.name,
+        label: gateway.label,
+        url: gateway.url,
+        state: gateway.state,
+        consecutiveFailures: gateway.consecutiveFailures,
+        requests: gateway.samples.length,
+        successRate: gateway.samples.length > 0 ? successes.length / gateway.samples.length : null,
+        avgLatencyMs: successes.length > 0
+          ? Math.round(successes.reduce((sum, sample) => sum + sample.latencyMs, 0) / successes.length)
+          : null,
+        score: Math.round(this.score(gateway) * 1000) / 1000,
+        retryAt: gateway.state === 'open' ? new Date(gateway.openedAt + this.cooldownMs).toISOString() : null,
+        lastSuccessAt: gateway.lastSuccessAt,
+        lastFailureAt: gateway.lastFailureAt,
+        lastError: gateway.lastError
+      };
+    });
+  }
+
+  // Close a gateway's breaker and forget its history
+  reset(name) {
+    const gateway = this.gateways.find(candidate => candidate.name === name);
+    if (!gateway) return null;
+
+    Object.assign(gateway, {
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      trialInFlight: false,
+      samples: [],
+      lastError: null
+    });
+    return gateway;
+  }
+}
+
+// Create and export singleton instance
+const gatewayPool = new GatewayPool();
+module.exports = gatewayPool;
@@ -1,36 +1,125 @@
-const axios = require('axios');
-const FormData = require('form-data');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const { createProvider } = require('./providers');
+const { computeCid, verifyContent, ContentVerifier, buildDirectory, decodeBlock, parseCid, UnixFSFileBuilder } = require('./cid');
+const { detectFormat } = require('./formats');
+const { ServiceError } = require('./errors');
+const PinIndex = require('./pinIndex');
+const cidCache = require('./cache');
+const gatewayPool = require('./gateways');
+const projectService = require('./projects');
+const encryptionService = require('./encryption');
+const eventBus = require('./events');
+const signingService = require('./signing');
 require('dotenv').config();
 
+// Provide helpful error messages for failed uploads
+function describeUploadError(error) {
+  let errorMessage = error.response?.data?.error || error.message;
+
+  if (error.response?.status === 401) {
+    errorMessage = 'Invalid Pinata API credentials. Check your PINATA_JWT token.';
+  } else if (error.response?.status === 403) {
+    errorMessage = 'Pinata API key does not have required permissions.';
+  } else if (error.code === 'ENOTFOUND') {
+    errorMessage = 'Network error: Cannot reach Pinata API. Check your internet connection.';
+  }
+
+  return errorMessage;
+}
+
+// Upload progress is published at most this often per upload
+const PROGRESS_INTERVAL_MS = parseInt(process.env.UPLOAD_PROGRESS_INTERVAL_MS || '500');
+
+// Publishes upload.started for `uploadId` and upload.progress from the
+// provider's onProgress callbacks (`report`) until `finish()` is called.
+// totalBytes is the size of the request sent to the provider, when known.
+// Completion and failure are reported by the routes (model.stored /
+// upload.failed).
+function trackUpload(uploadId, { name, project, contentBytes = null }) {
+  if (!uploadId) return { report: undefined, finish() {} };
+
+  eventBus.publish('upload.started', { uploadId, name, contentBytes }, { project });
+
+  let lastAt = 0;
+  let lastSent = -1;
+  let finished = false;
+
+  return {
+    report(bytesSent, totalBytes) {
+      const complete = totalBytes !== null && bytesSent >= totalBytes;
+      if (finished || bytesSent === lastSent || (!complete && Date.now() - lastAt < PROGRESS_INTERVAL_MS)) return;
+
+      lastAt = Date.now();
+      lastSent = bytesSent;
+      eventBus.publish('upload.progress', {
+        uploadId,
+        bytesSent,
+        totalBytes,
+        percent: totalBytes ? Math.min(100, Math.round(bytesSent / totalBytes * 1000) / 10) : null
+      }, { project });
+    },
+
+    // Progress reported after the provider answered would arrive after the
+    // outcome event, so it is dropped
+    finish() {
+      finished = true;
+    }
+  };
+}
+
 class IPFSService {
   constructor() {
-    this.pinataApiKey = process.env.PINATA_API_KEY;
-    this.pinataSecret = process.env.PINATA_API_SECRET;
-    this.pinataJWT = process.env.PINATA_JWT;
-    
-    this.baseURL = 'https://api.pinata.cloud';
-    
-    // Validate configuration
-    this.validateConfig();
+    // Storage backend is selected with STORAGE_PROVIDER (pinata | kubo | local)
+    this.provider = createProvider();
+    // Listings are served from the local index rather than the provider
+    this.index = new PinIndex(this.provider);
+    this.cidVersion = parseInt(process.env.IPFS_CID_VERSION || '0') === 1 ? 1 : 0;
+    console.log(`🗄️  Storage provider: ${this.provider.label}`);
   }
 
-  validateConfig() {
-    const missing = [];
-    if (!this.pinataApiKey) missing.push('PINATA_API_KEY');
-    if (!this.pinataSecret) missing.push('PINATA_API_SECRET');
-    if (!this.pinataJWT) missing.push('PINATA_JWT');
-    
-    if (missing.length > 0) {
-      console.warn('⚠️  Missing IPFS configuration:', missing.join(', '));
-      console.log('💡 Get keys from: https://pinata.cloud');
+  // Throws when content does not hash back to the requested CID, so a
+  // tampered gateway can never hand out substituted bytes
+  checkIntegrity(ipfsHash, content) {
+    const result = verifyContent(ipfsHash, content);
+
+    if (result.checked && !result.verified) {
+      throw new Error(`Content integrity check failed for ${ipfsHash} (content hashes to ${result.computedCid})`);
     }
+
+    return result;
   }
 
-  async uploadToIPFS(data, metadata = {}) {
+  // Pinata-style keyvalues recorded with every pin
+  buildKeyvalues(metadata, extra = {}) {
+    return {
+      version: metadata.version || '1.0.0',
+      type: metadata.modelType || 'ml-model',
+      accuracy: metadata.accuracy?.toString() || '0',
+      timestamp: metadata.timestamp || Date.now().toString(),
+      service: 'retail-churn-prediction',
+      project: metadata.project || projectService.defaultProject,
+      ...extra
+    };
+  }
+
+  // The content is already pinned, so a signing failure (e.g. an unwritable
+  // trust store) leaves the package unsigned instead of failing the upload
+  async signPackage(cid, digest, name, keyvalues) {
     try {
-      console.log('📤 Uploading to IPFS via Pinata...');
-      
-      const formData = new FormData();
+      return await signingService.sign({ cid, digest, name, keyvalues });
+    } catch (error) {
+      console.error(`❌ Failed to sign ${cid}:`, error.message);
+      return { status: 'unsigned', cid, reason: `Signing failed: ${error.message}` };
+    }
+  }
+
+  // With `encrypt`, the envelope is sealed with a fresh data key before it is
+  // pinned (see EncryptionService). With `uploadId`, progress is published
+  // on the event bus under that id.
+  async uploadToIPFS(data, metadata = {}, { encrypt = false, uploadId = null } = {}) {
+    try {
+      console.log(`📤 Uploading to IPFS via ${this.provider.label}...`);
       
       // Create JSON blob with data and metadata
       const uploadData = {
@@ -43,165 +132,420 @@ class IPFSService {
         }
       };
 
-      // Convert to buffer for FormData
-      const jsonBuffer = Buffer.from(JSON.stringify(uploadData, null, 2));
-      
-      formData.append('file', jsonBuffer, {
-        filename: `model-${Date.now()}.json`,
-        contentType: 'application/json'
-      });
-      
-      // Pinata metadata
-      const pinataMetadata = JSON.stringify({
-        name: metadata.modelName || `retail-model-${Date.now()}`,
-        keyvalues: {
-          version: metadata.version || '1.0.0',
-          type: metadata.modelType || 'ml-model',
-          accuracy: metadata.accuracy?.toString() || '0',
-          timestamp: metadata.timestamp || Date.now().toString(),
-          service: 'retail-churn-prediction'
+      let content = Buffer.from(JSON.stringify(uploadData, null, 2));
+      let encryption = null;
+      if (encrypt) {
+        const { dataKey, keyvalues } = await encryptionService.createDataKey();
+        content = encryptionService.seal(content, dataKey);
+        encryption = keyvalues;
+      }
+      const expected = computeCid(content, { cidVersion: this.cidVersion });
+
+      const name = metadata.modelName || `retail-model-${Date.now()}`;
+      const keyvalues = this.buildKeyvalues(metadata, encryption || {});
+      const progress = trackUpload(uploadId, { name, project: keyvalues.project, contentBytes: content.length });
+      const result = await this.provider.pinFile(content, {
+        filename: `model-${Date.now()}.json${encryption ? '.enc' : ''}`,
+        contentType: encryption ? 'application/octet-stream' : 'application/json',
+        name,
+        keyvalues,
+        cidVersion: this.cidVersion,
+        wrapWithDirectory: false,
+        onProgress: progress.report
+      }).finally(() => progress.finish());
+      await this.index.recordPin(result.cid, { name, keyvalues, size: result.size, timestamp: result.timestamp });
+      const provenance = await this.signPackage(result.cid, signingService.contentDigest(content), name, keyvalues);
+
+      const cidVerified = result.cid === expected.cid;
+      if (!cidVerified) {
+        console.warn(`⚠️  Provider returned ${result.cid}, locally computed ${expected.cid}`);
+      }
+
+      console.log('✅ IPFS upload successful:', result.cid);
+
+      return {
+        ipfsHash: result.cid,
+        computedCid: expected.cid,
+        cidVerified: cidVerified,
+        ipfsUrl: `https://gateway.pinata.cloud/ipfs/${result.cid}`,
+        pinSize: result.size,
+        timestamp: result.timestamp,
+        publicUrl: `https://ipfs.io/ipfs/${result.cid}`,
+        encryption: encryption ? { algorithm: encryptionService.algorithm, keyId: encryption.keyId } : null,
+        provenance
+      };
+
+    } catch (error) {
+      console.error('❌ IPFS upload failed:', error.response?.data || error.message);
+      throw new Error(`IPFS upload failed: ${describeUploadError(error)}`);
+    }
+  }
+
+  // Stream a file (e.g. a multipart upload part) to the provider as-is, without
+  // buffering or wrapping it in a JSON envelope. The CID is computed on the fly.
+  async uploadStream(stream, { filename, contentType, metadata = {}, uploadId = null } = {}) {
+    try {
+      const detected = detectFormat(filename, contentType);
+      console.log(`📤 Streaming ${filename} (${detected.format}) to IPFS via ${this.provider.label}...`);
+
+      const builder = new UnixFSFileBuilder({ cidVersion: this.cidVersion });
+      const digest = crypto.createHash('sha256');
+      let bytes = 0;
+      const hashing = new Transform({
+        transform(chunk, encoding, callback) {
+          builder.update(chunk);
+          digest.update(chunk);
+          bytes += chunk.length;
+          callback(null, chunk);
         }
       });
-      formData.append('pinataMetadata', pinataMetadata);
+      // Errors on the source (e.g. size limit) destroy `hashing`, which fails the provider upload
+      pipeline(stream, hashing, () => {});
 
-      // Pinata options
-      const pinataOptions = JSON.stringify({
-        cidVersion: 0,
-        wrapWithDirectory: false
+      const name = metadata.modelName || filename;
+      const keyvalues = this.buildKeyvalues(metadata, {
+        format: detected.format,
+        filename: filename,
+        contentType: detected.contentType
       });
-      formData.append('pinataOptions', pinataOptions);
-
-      const response = await axios.post(
-        `${this.baseURL}/pinning/pinFileToIPFS`,
-        formData,
-        {
-          maxBodyLength: Infinity,
-          headers: {
-            ...formData.getHeaders(),
-            'Authorization': `Bearer ${this.pinataJWT}`
-          },
-          timeout: 30000
-        }
-      );
+      const progress = trackUpload(uploadId, { name, project: keyvalues.project });
+      const result = await this.provider.pinStream(hashing, {
+        filename: filename,
+        contentType: detected.contentType,
+        name,
+        keyvalues,
+        cidVersion: this.cidVersion,
+        wrapWithDirectory: false,
+        onProgress: progress.report
+      }).finally(() => progress.finish());
+      await this.index.recordPin(result.cid, { name, keyvalues, size: result.size, timestamp: result.timestamp });
+      const provenance = await this.signPackage(result.cid, digest.digest('hex'), name, keyvalues);
+
+      const expected = builder.digest();
+      const cidVerified = result.cid === expected.cid;
+      if (!cidVerified) {
+        console.warn(`⚠️  Provider returned ${result.cid}, locally computed ${expected.cid}`);
+      }
 
-      console.log('✅ IPFS upload successful:', response.data.IpfsHash);
+      console.log('✅ IPFS upload successful:', result.cid);
 
       return {
-        ipfsHash: response.data.IpfsHash,
-        ipfsUrl: `https://gateway.pinata.cloud/ipfs/${response.data.IpfsHash}`,
-        pinSize: response.data.PinSize,
-        timestamp: response.data.Timestamp,
-        publicUrl: `https://ipfs.io/ipfs/${response.data.IpfsHash}`
+        ipfsHash: result.cid,
+        computedCid: expected.cid,
+        cidVerified: cidVerified,
+        ipfsUrl: `https://gateway.pinata.cloud/ipfs/${result.cid}`,
+        pinSize: result.size,
+        timestamp: result.timestamp,
+        publicUrl: `https://ipfs.io/ipfs/${result.cid}`,
+        file: {
+          filename: filename,
+          contentType: detected.contentType,
+          format: detected.format,
+          size: bytes
+        },
+        provenance
       };
 
     } catch (error) {
       console.error('❌ IPFS upload failed:', error.response?.data || error.message);
-      
-      // Provide helpful error messages
-      let errorMessage = error.response?.data?.error || error.message;
-      
-      if (error.response?.status === 401) {
-        errorMessage = 'Invalid Pinata API credentials. Check your PINATA_JWT token.';
-      } else if (error.response?.status === 403) {
-        errorMessage = 'Pinata API key does not have required permissions.';
-      } else if (error.code === 'ENOTFOUND') {
-        errorMessage = 'Network error: Cannot reach Pinata API. Check your internet connection.';
+      throw new ServiceError(`IPFS upload failed: ${describeUploadError(error)}`, error.status || 500);
+    }
+  }
+
+  // Pin a set of { path, content } files as one UnixFS directory, so each file
+  // can later be fetched on its own by path. `encryption` holds the keyvalues
+  // of the data key the files were sealed with, if they were.
+  async uploadDirectory(files, metadata = {}, { rootName = 'package', encryption = null, uploadId = null } = {}) {
+    try {
+      console.log(`📤 Uploading ${files.length} files as a directory via ${this.provider.label}...`);
+
+      const entries = files.map(file => ({
+        path: file.path,
+        content: Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content),
+        contentType: file.contentType || detectFormat(file.path).contentType
+      }));
+      const expected = buildDirectory(entries, { cidVersion: this.cidVersion });
+
+      const name = metadata.modelName || `retail-model-${Date.now()}`;
+      const keyvalues = this.buildKeyvalues(metadata, { layout: 'directory', ...encryption });
+      const progress = trackUpload(uploadId, {
+        name,
+        project: keyvalues.project,
+        contentBytes: entries.reduce((sum, entry) => sum + entry.content.length, 0)
+      });
+      const result = await this.provider.pinDirectory(entries, {
+        rootName: rootName,
+        name,
+        keyvalues,
+        cidVersion: this.cidVersion,
+        onProgress: progress.report
+      }).finally(() => progress.finish());
+      await this.index.recordPin(result.cid, { name, keyvalues, size: result.size, timestamp: result.timestamp });
+      const provenance = await this.signPackage(result.cid, signingService.directoryDigest(expected.files), name, keyvalues);
+
+      const cidVerified = result.cid === expected.cid;
+      if (!cidVerified) {
+        console.warn(`⚠️  Provider returned ${result.cid}, locally computed ${expected.cid}`);
       }
-      
-      throw new Error(`IPFS upload failed: ${errorMessage}`);
+
+      console.log('✅ IPFS upload successful:', result.cid);
+
+      return {
+        ipfsHash: result.cid,
+        computedCid: expected.cid,
+        cidVerified: cidVerified,
+        ipfsUrl: `https://gateway.pinata.cloud/ipfs/${result.cid}`,
+        pinSize: result.size,
+        timestamp: result.timestamp,
+        publicUrl: `https://ipfs.io/ipfs/${result.cid}`,
+        files: expected.files.map(({ path, cid, size }) => ({ path, cid, size })),
+        encryption: encryption ? { algorithm: encryptionService.algorithm, keyId: encryption.keyId } : null,
+        provenance
+      };
+
+    } catch (error) {
+      console.error('❌ IPFS upload failed:', error.response?.data || error.message);
+      throw new ServiceError(`IPFS upload failed: ${describeUploadError(error)}`, error.status || 500);
     }
   }
 
-  async getFromIPFS(ipfsHash) {
+  // Fetch a single block and describe the UnixFS node in it. The block is
+  // hashed before it is decoded, so a bad gateway response is skipped.
+  async getBlock(ipfsHash) {
+    const cached = await cidCache.get(ipfsHash, 'block');
+    if (cached) {
+      return { block: cached, node: decodeBlock(ipfsHash, cached) };
+    }
+
+    let node = null;
+    const block = await this.provider.getBlock(ipfsHash, {
+      verify: bytes => {
+        node = decodeBlock(ipfsHash, bytes);
+      }
+    });
+    await cidCache.put(ipfsHash, block, 'block');
+
+    return { block, node };
+  }
+
+  async getNode(ipfsHash) {
+    const { node } = await this.getBlock(ipfsHash);
+    return node;
+  }
+
+  // Walk a path inside a directory one verified block at a time and return
+  // the CID it points to
+  async resolvePath(ipfsHash, subPath) {
+    const segments = subPath.split('/').filter(Boolean);
+    let cid = ipfsHash;
+
+    for (const [index, segment] of segments.entries()) {
+      const node = await this.getNode(cid);
+      if (node.type !== 'directory') {
+        throw new ServiceError(`${[ipfsHash, ...segments.slice(0, index)].join('/')} is not a directory`, 404);
+      }
+
+      const link = node.links.find(candidate => candidate.name === segment);
+      if (!link) {
+        throw new ServiceError(`${segments.slice(0, index + 1).join('/')} not found in ${ipfsHash}`, 404);
+      }
+      cid = link.cid;
+    }
+
+    return cid;
+  }
+
+  // Fetch raw bytes for a CID (or a path inside a directory CID), verifying
+  // them against the CID on the way in. Encrypted content is decrypted with
+  // the data key recorded on the root's pin unless `decrypt` is false.
+  async fetchContent(ipfsHash, subPath = '', { decrypt = true } = {}) {
     try {
-      console.log(`📥 Fetching from IPFS: ${ipfsHash}`);
-      
-      // Try Pinata gateway first (faster and more reliable)
-      const response = await axios.get(
-        `https://gateway.pinata.cloud/ipfs/${ipfsHash}`,
-        {
-          timeout: 30000,
-          headers: {
-            'Accept': 'application/json'
+      const target = subPath ? await this.resolvePath(ipfsHash, subPath) : ipfsHash;
+      console.log(`📥 Fetching from IPFS: ${subPath ? `${ipfsHash}/${subPath} (${target})` : ipfsHash}`);
+
+      let verification = null;
+      let content = await cidCache.get(target);
+
+      if (content) {
+        // Only verified content is cached
+        verification = { verified: true, checked: true, cid: target, computedCid: target, source: 'cache' };
+        console.log(`💾 Served ${target} from cache`);
+      } else {
+        content = await this.provider.cat(target, {
+          verify: (bytes, source) => {
+            verification = { ...this.checkIntegrity(target, bytes), source };
           }
+        });
+
+        if (verification.verified) {
+          console.log(`🔒 Content verified against ${target}`);
+          await cidCache.put(target, content);
+        } else {
+          console.warn(`⚠️  Content for ${target} could not be verified: ${verification.reason}`);
         }
-      );
+      }
+
+      if (subPath) {
+        verification = { ...verification, root: ipfsHash, path: subPath };
+      }
+
+      let encryption = null;
+      if (decrypt && encryptionService.isSealed(content)) {
+        const keyvalues = await this.getEncryptionKeyvalues(ipfsHash);
+        content = encryptionService.open(content, keyvalues);
+        encryption = { algorithm: encryptionService.algorithm, keyId: keyvalues.keyId };
+        console.log(`🔓 Decrypted ${target} with a data key wrapped by ${keyvalues.keyId}`);
+      }
 
-      console.log('✅ IPFS fetch successful from Pinata gateway');
-      return JSON.stringify(response.data);
+      return { content, verification, encryption };
 
     } catch (error) {
-      console.error('❌ IPFS fetch from Pinata failed:', error.message);
-      
-      // Fallback to public IPFS gateway
+      if (error instanceof ServiceError) throw error;
+      throw new Error(`Failed to fetch from IPFS: ${error.message}`);
+    }
+  }
+
+  // Stream the bytes of a file CID, or the inclusive byte range start..end of
+  // it. A full read is hashed on the way through and the final chunk is held
+  // back until it checks out, so substituted content never arrives complete.
+  async streamContent(ipfsHash, { start, end } = {}) {
+    const partial = start !== undefined;
+    const cached = await cidCache.createReadStream(ipfsHash, { start, end });
+    if (cached) return cached;
+
+    const source = await this.provider.catStream(ipfsHash, partial ? { offset: start, length: end - start + 1 } : {});
+    if (partial) return source;
+
+    const verifier = new ContentVerifier(ipfsHash);
+    let held = null;
+    const verifying = new Transform({
+      transform(chunk, encoding, callback) {
+        verifier.update(chunk);
+        const previous = held;
+        held = chunk;
+        callback(null, previous || undefined);
+      },
+      flush(callback) {
+        const result = verifier.result();
+        if (result.checked && !result.verified) {
+          return callback(new Error(`Content integrity check failed for ${ipfsHash} (content hashes to ${result.computedCid})`));
+        }
+        callback(null, held || undefined);
+      }
+    });
+
+    pipeline(source, verifying, () => {});
+    return verifying;
+  }
+
+  // The keyId/wrappedKey keyvalues of a pin
+  async getEncryptionKeyvalues(ipfsHash) {
+    const pinStatus = await this.getPinStatus(ipfsHash);
+    if (!pinStatus.success) {
+      throw new ServiceError(`Could not read the data key for ${ipfsHash}: ${pinStatus.error}`, 502);
+    }
+    if (!pinStatus.pinned) {
+      throw new ServiceError(`${ipfsHash} is encrypted but not pinned here, so its data key is unknown`, 422);
+    }
+
+    return pinStatus.data.keyvalues;
+  }
+
+  // Re-wrap the data key of every encrypted pin that isn't on the active
+  // master key (or only those on `fromKeyId`). Content is not re-uploaded.
+  async rotateDataKeys({ fromKeyId } = {}) {
+    const toKeyId = await encryptionService.activeKeyId();
+    const pinned = await this.listPinnedFiles(Infinity);
+    if (!pinned.success) {
+      throw new ServiceError(`Failed to list pins: ${pinned.error}`, 502);
+    }
+
+    const results = { toKeyId, rotated: [], failed: [], current: 0 };
+    for (const file of pinned.rows) {
+      const { keyId, wrappedKey } = file.metadata?.keyvalues || {};
+      if (!keyId) continue;
+      if (keyId === toKeyId) {
+        results.current++;
+        continue;
+      }
+      if (fromKeyId && keyId !== fromKeyId) continue;
+
       try {
-        console.log('🔄 Trying public IPFS gateway...');
-        const response = await axios.get(
-          `https://ipfs.io/ipfs/${ipfsHash}`,
-          {
-            timeout: 30000,
-            headers: {
-              'Accept': 'application/json'
-            }
-          }
-        );
-        
-        console.log('✅ IPFS fetch from public gateway successful');
-        return JSON.stringify(response.data);
-        
-      } catch (fallbackError) {
-        console.error('❌ IPFS fetch from public gateway failed:', fallbackError.message);
-        
-        // Last fallback: Cloudflare IPFS gateway
+        const rewrapped = encryptionService.rewrap({ keyId, wrappedKey }, toKeyId);
+        await this.provider.updateKeyvalues(file.ipfs_pin_hash, rewrapped);
+        await this.index.recordKeyvalues(file.ipfs_pin_hash, rewrapped);
+        results.rotated.push({ ipfsHash: file.ipfs_pin_hash, fromKeyId: keyId });
+      } catch (error) {
+        results.failed.push({ ipfsHash: file.ipfs_pin_hash, fromKeyId: keyId, error: error.message });
+      }
+    }
+
+    console.log(`🔁 Re-wrapped ${results.rotated.length} data keys with ${toKeyId} (${results.failed.length} failed)`);
+    return results;
+  }
+
+  // Number of pinned objects whose data key is wrapped by each master key
+  async countPinsByKey() {
+    const pinned = await this.listPinnedFiles(Infinity);
+    if (!pinned.success) {
+      throw new ServiceError(`Failed to list pins: ${pinned.error}`, 502);
+    }
+
+    return pinned.rows.reduce((counts, file) => {
+      const keyId = file.metadata?.keyvalues?.keyId;
+      if (keyId) counts[keyId] = (counts[keyId] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  // Fetch a list of CIDs into the cache ahead of time
+  async prewarmCache(cids) {
+    const results = [];
+
+    for (const cid of cids) {
+      if (!this.isValidIPFSHash(cid)) {
+        results.push({ cid, status: 'invalid' });
+      } else if (cidCache.has(cid)) {
+        results.push({ cid, status: 'cached' });
+      } else {
         try {
-          console.log('🔄 Trying Cloudflare IPFS gateway...');
-          const response = await axios.get(
-            `https://cloudflare-ipfs.com/ipfs/${ipfsHash}`,
-            {
-              timeout: 30000,
-              headers: {
-                'Accept': 'application/json'
-              }
-            }
-          );
-          
-          console.log('✅ IPFS fetch from Cloudflare gateway successful');
-          return JSON.stringify(response.data);
-          
-        } catch (finalError) {
-          throw new Error(`Failed to fetch from IPFS: ${finalError.message}`);
+          const { content, verification } = await this.fetchContent(cid, '', { decrypt: false });
+          results.push({ cid, status: verification.verified ? 'fetched' : 'unverified', size: content.length });
+        } catch (error) {
+          results.push({ cid, status: 'failed', error: error.message });
         }
       }
     }
+
+    return results;
+  }
+
+  async getFromIPFS(ipfsHash) {
+    const { content } = await this.fetchContent(ipfsHash);
+    return content.toString('utf8');
   }
 
   async testConnection() {
     try {
-      console.log('🔗 Testing Pinata connection...');
+      console.log(`🔗 Testing ${this.provider.label} connection...`);
       
-      const response = await axios.get(
-        `${this.baseURL}/data/testAuthentication`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.pinataJWT}`
-          },
-          timeout: 10000
-        }
-      );
+      const data = await this.provider.testConnection();
       
       return {
         success: true,
-        message: '✅ Pinata connection successful',
-        data: response.data,
+        message: `✅ ${this.provider.label} connection successful`,
+        provider: this.provider.name,
+        data: data,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      console.error('❌ Pinata connection test failed:', error.response?.data || error.message);
+      console.error(`❌ ${this.provider.label} connection test failed:`, error.response?.data || error.message);
       
       return {
         success: false,
         error: error.response?.data?.error || error.message,
-        message: '❌ Failed to connect to Pinata',
+        message: `❌ Failed to connect to ${this.provider.label}`,
+        provider: this.provider.name,
         timestamp: new Date().toISOString()
       };
     }
@@ -211,44 +555,14 @@ class IPFSService {
   try {
     console.log('📋 Listing pinned files...');
     
-    let allFiles = [];
-    let pageOffset = 0;
-    const pageLimit = 100; // Pinata's max per page
+    const { rows } = await this.index.listPins({ status, limit });
     
-    // Paginate through all files
-    while (true) {
-      let url = `${this.baseURL}/data/pinList?pageLimit=${pageLimit}&pageOffset=${pageOffset}`;
-      
-      if (status !== 'all') {
-        url += `&status=${status}`;
-      }
-      
-      const response = await axios.get(url, {
-        headers: {
-          'Authorization': `Bearer ${this.pinataJWT}`
-        },
-        timeout: 30000
-      });
-      
-      if (!response.data.rows || response.data.rows.length === 0) {
-        break;
-      }
-      
-      allFiles = [...allFiles, ...response.data.rows];
-      pageOffset += pageLimit;
-      
-      // Stop if we've reached the requested limit or no more files
-      if (allFiles.length >= limit || response.data.rows.length < pageLimit) {
-        break;
-      }
-    }
-    
-    console.log(`✅ Found ${allFiles.length} total files`);
+    console.log(`✅ Found ${rows.length} total files`);
     
     return {
       success: true,
-      count: allFiles.length,
-      rows: allFiles.map(file => ({
+      count: rows.length,
+      rows: rows.map(file => ({
         ipfs_pin_hash: file.ipfs_pin_hash,
         name: file.metadata ? file.metadata.name : `file-${file.ipfs_pin_hash.substring(0, 8)}`,
         size: file.size,
@@ -274,22 +588,14 @@ class IPFSService {
   try {
     console.log('📋 Listing unpinned files...');
     
-    const response = await axios.get(
-      `${this.baseURL}/data/pinList?status=unpinned&pageLimit=${limit}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${this.pinataJWT}`
-        },
-        timeout: 15000
-      }
-    );
+    const { count, rows } = await this.index.listPins({ status: 'unpinned', limit });
     
-    console.log(`✅ Found ${response.data.count} unpinned files`);
+    console.log(`✅ Found ${count} unpinned files`);
     
     return {
       success: true,
-      count: response.data.count,
-      rows: response.data.rows.map(file => ({
+      count: count,
+      rows: rows.map(file => ({
         ipfs_pin_hash: file.ipfs_pin_hash,
         name: file.metadata ? file.metadata.name : `unpinned-${file.ipfs_pin_hash.substring(0, 8)}`,
         size: file.size,
@@ -350,22 +656,22 @@ async listAllFiles(limit = 1000) {
     try {
       console.log(`🗑️  Unpinning file: ${ipfsHash}`);
       
-      const response = await axios.delete(
-        `${this.baseURL}/pinning/unpin/${ipfsHash}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.pinataJWT}`
-          },
-          timeout: 15000
-        }
-      );
+      const data = await this.provider.unpin(ipfsHash);
+      const pin = this.index.get(ipfsHash);
+      await this.index.recordUnpin(ipfsHash);
+
+      eventBus.publish('model.unpinned', {
+        ipfsHash,
+        name: pin?.metadata?.name || null,
+        keyvalues: pin?.metadata?.keyvalues || {}
+      }, { project: pin ? projectService.projectOf(pin) : null });
       
       console.log('✅ File unpinned successfully');
       
       return {
         success: true,
         message: 'File unpinned successfully',
-        data: response.data,
+        data: data,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -384,17 +690,7 @@ async listAllFiles(limit = 1000) {
     try {
       console.log(`🔍 Checking pin status: ${ipfsHash}`);
       
-      const response = await axios.get(
-        `${this.baseURL}/data/pinList?hashContains=${ipfsHash}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.pinataJWT}`
-          },
-          timeout: 10000
-        }
-      );
-      
-      const pin = response.data.rows.find(row => row.ipfs_pin_hash === ipfsHash);
+      const pin = await this.provider.getPin(ipfsHash);
       
       if (pin) {
         return {
@@ -405,6 +701,8 @@ async listAllFiles(limit = 1000) {
             name: pin.metadata.name,
             size: pin.size,
             timestamp: pin.date_pinned,
+            mimeType: pin.mime_type || null,
+            keyvalues: pin.metadata.keyvalues || {},
             status: 'pinned'
           },
           timestamp: new Date().toISOString()
@@ -453,21 +751,19 @@ async listAllFiles(limit = 1000) {
     return await this.uploadToIPFS(data, trainingMetadata);
   }
 
-  // Get gateway URLs for an IPFS hash
+  // Get gateway URLs for an IPFS hash, one per configured gateway
   getGateways(ipfsHash) {
-    return {
-      pinata: `https://gateway.pinata.cloud/ipfs/${ipfsHash}`,
-      ipfsIo: `https://ipfs.io/ipfs/${ipfsHash}`,
-      cloudflare: `https://cloudflare-ipfs.com/ipfs/${ipfsHash}`,
-      dweb: `https://dweb.link/ipfs/${ipfsHash}`
-    };
+    return gatewayPool.urlsFor(ipfsHash);
   }
 
-  // Validate IPFS hash format
+  // Validate IPFS hash format (CIDv0 or CIDv1)
   isValidIPFSHash(hash) {
-    // Basic validation for IPFS hashes (starts with Qm for v0 or specific patterns for v1)
-    return /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(hash) || 
-           /^bafy[1-9A-HJ-NP-Za-km-z]{52}$/.test(hash);
+    try {
+      parseCid(hash);
+      return true;
+    } catch (error) {
+      return false;
+    }
   }
 }
 
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small JSON-file backed store used for local state (pin indexes, sidecars).
+// Data is loaded once and kept in memory; writes are serialized and atomic.
+class JsonStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.data = null;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  load() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+      }
+      this.data = JSON.parse(JSON.stringify(this.defaults));
+    }
+
+    return this.data;
+  }
+
+  save() {
+    const snapshot = JSON.stringify(this.load(), null, 2);
+
+    // A failed write must not block the ones queued after it
+    this.pendingWrite = this.pendingWrite.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+
+    return this.pendingWrite;
+  }
+
+  async update(mutator) {
+    const result = await mutator(this.load());
+    await this.save();
+    return result;
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,210 @@
+const { ServiceError } = require('./errors');
+const ipfsService = require('./ipfs');
+const modelCatalog = require('./catalog');
+const modelComparisonService = require('./comparison');
+const modelRegistry = require('./registry');
+const signingService = require('./signing');
+
+const METRIC_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+function assertMetric(name, label) {
+  if (!name) {
+    throw new ServiceError(`${label} is required`, 400);
+  }
+  if (!METRIC_PATTERN.test(name)) {
+    throw new ServiceError(`${label} must be a metric name such as f1_score or mae`, 400);
+  }
+}
+
+// { metric: number } from a query object such as min[recall]=0.7
+function parseThresholds(thresholds, label) {
+  if (thresholds === undefined) return {};
+  if (typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new ServiceError(`${label} must be given per metric, e.g. ${label}[recall]=0.7`, 400);
+  }
+
+  return Object.fromEntries(Object.entries(thresholds).map(([metric, value]) => {
+    assertMetric(metric, `${label} metric`);
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+      throw new ServiceError(`${label}[${metric}] must be a number`, 400);
+    }
+    return [metric, number];
+  }));
+}
+
+// Ranks the models of a project by any metric in their performance_metrics,
+// within a task (a registered model name, whose versions compete) or a model
+// type. The champion is the model in production - the task's production
+// version, or the most recently promoted production version among the
+// ranked models - unless one is named explicitly; challengers are the
+// models that beat it.
+class LeaderboardService {
+  direction(metric, order) {
+    if (order === 'asc') return 'lower-is-better';
+    if (order === 'desc') return 'higher-is-better';
+    return modelComparisonService.isLowerBetter(metric) ? 'lower-is-better' : 'higher-is-better';
+  }
+
+  // Negative when `a` ranks above `b` on `metric`. Models without a value
+  // rank below every model that has one.
+  compareOn(a, b, metric, direction) {
+    const va = a.metrics[metric];
+    const vb = b.metrics[metric];
+    const hasA = typeof va === 'number';
+    const hasB = typeof vb === 'number';
+
+    if (!hasA || !hasB) return hasA === hasB ? 0 : hasA ? -1 : 1;
+    return direction === 'lower-is-better' ? va - vb : vb - va;
+  }
+
+  // Primary metric, then each tie-breaker in its own direction
+  compare(a, b, keys) {
+    for (const { metric, direction } of keys) {
+      const comparison = this.compareOn(a, b, metric, direction);
+      if (comparison !== 0) return comparison;
+    }
+    return 0;
+  }
+
+  // Models in the running, with their metrics from the model catalog
+  async candidates({ project, principal, task, modelType }) {
+    const hashes = task ? new Set(modelRegistry.listVersions(task, { principal }).map(entry => entry.ipfsHash)) : null;
+
+    return (await modelCatalog.documents({ project }))
+      .filter(document => !hashes || hashes.has(document.ipfsHash))
+      .filter(document => !modelType || document.modelType === modelType)
+      .map(({ ipfsHash, name, project, modelType, version, registry, uploadedAt, metrics, summaryError }) => ({
+        ipfsHash, name, project, modelType, version, registry, uploadedAt, metrics, summaryError
+      }));
+  }
+
+  // The production model the ranking is measured against, or null
+  findChampion(entries, { task, champion }) {
+    if (champion) {
+      const entry = entries.find(candidate => candidate.ipfsHash === champion);
+      if (!entry) {
+        throw new ServiceError(`Champion ${champion} is not among the ranked models`, 404);
+      }
+      return { entry, source: 'request' };
+    }
+
+    const production = entries
+      .map(entry => ({
+        entry,
+        version: entry.registry.find(version => version.stage === 'production' && (!task || version.name === task))
+      }))
+      .filter(candidate => candidate.version)
+      .sort((a, b) => new Date(b.version.stagedAt) - new Date(a.version.stagedAt));
+
+    if (production.length === 0) return null;
+    return { entry: production[0].entry, source: `registry:${production[0].version.name}@production` };
+  }
+
+  async build({ project = null, principal = null, strict = false, metric, order, task, modelType, champion, min, max, tieBreakers = [], limit = 50 } = {}) {
+    assertMetric(metric, 'metric');
+    tieBreakers.forEach(name => assertMetric(name, 'tieBreakers'));
+    if (order !== undefined && !['asc', 'desc'].includes(order)) {
+      throw new ServiceError('order must be asc or desc', 400);
+    }
+    if (champion && !ipfsService.isValidIPFSHash(champion)) {
+      throw new ServiceError('Invalid IPFS hash format for champion', 400);
+    }
+    const thresholds = { min: parseThresholds(min, 'min'), max: parseThresholds(max, 'max') };
+
+    const keys = [
+      { metric, direction: this.direction(metric, order) },
+      ...tieBreakers.filter(name => name !== metric).map(name => ({ metric: name, direction: this.direction(name) }))
+    ];
+
+    const loaded = await this.candidates({ project, principal, task, modelType });
+
+    const excluded = [];
+    const scored = loaded.filter(entry => {
+      // Strict consumers only see models whose provenance verifies, as on the retrieval routes
+      if (strict) {
+        const provenance = signingService.verify(entry.ipfsHash, { pin: ipfsService.index.get(entry.ipfsHash) });
+        if (provenance.status !== 'verified') {
+          excluded.push({ ipfsHash: entry.ipfsHash, name: entry.name, reason: `provenance ${provenance.status}: ${provenance.reason}` });
+          return false;
+        }
+      }
+      if (entry.summaryError) {
+        excluded.push({ ipfsHash: entry.ipfsHash, name: entry.name, reason: `metrics unreadable: ${entry.summaryError}` });
+        return false;
+      }
+      if (typeof entry.metrics[metric] !== 'number') {
+        excluded.push({ ipfsHash: entry.ipfsHash, name: entry.name, reason: `no numeric ${metric}` });
+        return false;
+      }
+      return true;
+    });
+
+    // Ties on every key go to the model uploaded first, so a re-upload of
+    // the same results never overtakes the original
+    scored.sort((a, b) => this.compare(a, b, keys) || new Date(a.uploadedAt) - new Date(b.uploadedAt));
+
+    const failures = entry => [
+      ...Object.entries(thresholds.min)
+        .filter(([name, bound]) => !(entry.metrics[name] >= bound))
+        .map(([name, bound]) => `${name} below ${bound}`),
+      ...Object.entries(thresholds.max)
+        .filter(([name, bound]) => !(entry.metrics[name] <= bound))
+        .map(([name, bound]) => `${name} above ${bound}`)
+    ];
+
+    const ranked = scored.filter(entry => {
+      const reasons = failures(entry);
+      if (reasons.length > 0) {
+        excluded.push({ ipfsHash: entry.ipfsHash, name: entry.name, reason: reasons.join(', ') });
+        return false;
+      }
+      return true;
+    });
+
+    // The champion is looked up among every scored model, so one that no
+    // longer meets the thresholds is still reported (with qualifies: false)
+    const current = this.findChampion(scored, { task, champion });
+    const score = entry => entry.metrics[metric];
+
+    const leaderboard = ranked.map((entry, index) => {
+      const beatsChampion = current && entry !== current.entry ? this.compare(entry, current.entry, keys) < 0 : null;
+      return {
+        rank: index + 1,
+        role: !current ? 'contender' : entry === current.entry ? 'champion' : beatsChampion ? 'challenger' : 'contender',
+        ...entry,
+        score: score(entry),
+        deltaVsChampion: current ? Number((score(entry) - score(current.entry)).toPrecision(12)) : null,
+        beatsChampion
+      };
+    });
+
+    return {
+      metric,
+      direction: keys[0].direction,
+      tieBreakers: keys.slice(1),
+      thresholds,
+      scope: { project, task: task || null, modelType: modelType || null },
+      champion: current
+        ? {
+          ...current.entry,
+          score: score(current.entry),
+          source: current.source,
+          rank: leaderboard.find(entry => entry.ipfsHash === current.entry.ipfsHash)?.rank || null,
+          qualifies: ranked.includes(current.entry)
+        }
+        : null,
+      challengers: leaderboard.filter(entry => entry.role === 'challenger').map(({ rank, ipfsHash, name, score, deltaVsChampion }) => ({
+        rank, ipfsHash, name, score, deltaVsChampion
+      })),
+      leaderboard: leaderboard.slice(0, limit),
+      total: ranked.length,
+      excluded,
+      rankedAt: new Date().toISOString()
+    };
+  }
+}
+
+// Create and export singleton instance
+const leaderboardService = new LeaderboardService();
+module.exports = leaderboardService;
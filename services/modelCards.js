@@ -0,0 +1,311 @@
+const path = require('path');
+const JsonStore = require('./jsonStore');
+const { ServiceError } = require('./errors');
+const ipfsService = require('./ipfs');
+const encryptionService = require('./encryption');
+const signingService = require('./signing');
+const projectService = require('./projects');
+const modelComparisonService = require('./comparison');
+const { escapeHtml, formatValue, markdownTable, htmlTable, htmlDocument } = require('./render');
+
+// Files of a pinned card directory
+const CARD_FILES = {
+  markdown: 'card.md',
+  html: 'card.html',
+  json: 'card.json'
+};
+
+// Counts reported in performance_metrics that are neither better high nor low
+const NON_SCORE_METRICS = new Set(['dataset_size', 'n_samples', 'num_samples', 'support']);
+
+const SHAP_TOP = 10;
+
+const NOT_DOCUMENTED = 'Not documented in the model package.';
+
+const toList = value => (Array.isArray(value) ? value : value ? [value] : []).map(String);
+
+// Caveats that follow from what the package leaves out; listed after the
+// limitations the model's authors wrote down
+function derivedLimitations({ metadata, sections, provenance, encrypted }) {
+  const limitations = [];
+
+  if (sections.shap.length === 0) {
+    limitations.push('No SHAP analysis is stored with the package, so feature attributions are unknown.');
+  }
+  if (!Object.keys(sections.metrics).some(metric => metric.startsWith('val_'))) {
+    limitations.push('No validation metrics (val_*) are recorded; the reported metrics may be measured on training data.');
+  }
+  if (metadata.trained_on) {
+    limitations.push(`Trained on data up to ${metadata.trained_on}; customer behaviour after that date may not be reflected.`);
+  }
+  if (Array.isArray(metadata.horizon) && metadata.horizon.length > 0) {
+    limitations.push(`Only forecast horizons ${metadata.horizon.join(', ')} were trained for.`);
+  }
+  if (provenance.status !== 'verified') {
+    limitations.push(`The package's provenance is ${provenance.status}: ${provenance.reason}.`);
+  }
+  if (encrypted) {
+    limitations.push('The package is encrypted at rest; its card is sealed with it when pinned.');
+  }
+
+  return limitations;
+}
+
+const label = card => `${card.modelName || 'model'}${card.version ? ` ${card.version}` : ''}`;
+
+// Model cards: a human-readable summary of a stored package (description,
+// intended use, limitations, metrics, architecture, training config,
+// features, top SHAP features), rendered as Markdown or a self-contained
+// HTML page.
+//
+// A card can also be pinned next to its model as a directory of card.md,
+// card.html and card.json, so the card has a CID of its own. Pinned cards
+// are tracked per model in DATA_DIR/model-cards.json; the card of an
+// encrypted model is sealed like the model before it is pinned.
+class ModelCardService {
+  constructor() {
+    this.formats = Object.keys(CARD_FILES);
+    this.files = CARD_FILES;
+    this.pinOnStore = (process.env.MODEL_CARDS_PIN || 'false').toLowerCase() === 'true';
+    this.store = new JsonStore(
+      path.resolve(process.env.DATA_DIR || './data', 'model-cards.json'),
+      { cards: {} }
+    );
+  }
+
+  // The pinned card of a model, or null
+  pinned(ipfsHash) {
+    return this.store.load().cards[ipfsHash] || null;
+  }
+
+  async build(ipfsHash, { shapTop = SHAP_TOP } = {}) {
+    const { summary, sections, metadata } = await modelComparisonService.loadPackage(ipfsHash);
+    const pin = ipfsService.index.get(ipfsHash);
+    const provenance = signingService.verify(ipfsHash, { pin });
+    const encrypted = !!pin?.metadata?.keyvalues?.wrappedKey;
+
+    const documented = toList(metadata.limitations).map(text => ({ text, source: 'metadata' }));
+    const derived = derivedLimitations({ metadata, sections, provenance, encrypted })
+      .map(text => ({ text, source: 'derived' }));
+
+    return {
+      ipfsHash,
+      modelName: summary.modelName || metadata.name || null,
+      version: summary.version,
+      description: metadata.description || null,
+      details: {
+        name: metadata.name || null,
+        author: metadata.author || null,
+        license: metadata.license || null,
+        framework: metadata.framework || null,
+        library: metadata.library || null,
+        target: metadata.target || null,
+        horizon: metadata.horizon || null,
+        trainedOn: metadata.trained_on || null,
+        tags: metadata.tags || [],
+        storedAt: summary.timestamp,
+        layout: summary.layout,
+        project: pin ? projectService.projectOf(pin) : null,
+        encrypted
+      },
+      intendedUse: metadata.intended_use || null,
+      limitations: [...documented, ...derived],
+      metrics: Object.entries(sections.metrics)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([metric, value]) => ({
+          metric,
+          value,
+          betterWhen: typeof value !== 'number' || NON_SCORE_METRICS.has(metric)
+            ? null
+            : modelComparisonService.isLowerBetter(metric) ? 'lower' : 'higher'
+        })),
+      architecture: sections.architecture,
+      trainingConfig: sections.trainingConfig,
+      features: { input: sections.inputFeatures, output: sections.outputFeatures },
+      shap: { top: shapTop, features: sections.shap.slice(0, shapTop) },
+      provenance: {
+        status: provenance.status,
+        reason: provenance.reason || null,
+        keyId: provenance.signer?.keyId || null,
+        signedAt: provenance.signedAt || null
+      },
+      verified: summary.verified,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  renderMarkdown(card) {
+    const lines = [`# Model card: ${label(card)}`, '', `\`${card.ipfsHash}\``, ''];
+    const detail = (name, value) => {
+      if (value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+        lines.push(`- **${name}:** ${Array.isArray(value) ? value.join(', ') : value}`);
+      }
+    };
+    const fieldTable = (title, fields) => {
+      lines.push('', `## ${title}`, '');
+      const rows = Object.entries(fields);
+      lines.push(rows.length === 0
+        ? NOT_DOCUMENTED
+        : markdownTable(['Field', 'Value'], rows.map(([field, value]) => [field, formatValue(value)])));
+    };
+
+    lines.push('## Model details', '');
+    detail('Name', card.details.name);
+    detail('Version', card.version);
+    detail('Author', card.details.author);
+    detail('License', card.details.license);
+    detail('Framework', [card.details.framework, card.details.library].filter(Boolean).join(' / ') || null);
+    detail('Target', card.details.target);
+    detail('Forecast horizon', card.details.horizon);
+    detail('Trained on data up to', card.details.trainedOn);
+    detail('Tags', card.details.tags);
+    detail('Stored', card.details.storedAt);
+    detail('Project', card.details.project);
+    detail('Provenance', `${card.provenance.status}${card.provenance.keyId ? ` (signed by ${card.provenance.keyId} at ${card.provenance.signedAt})` : ''}`);
+
+    lines.push('', '## Description', '', card.description || NOT_DOCUMENTED);
+    lines.push('', '## Intended use', '', card.intendedUse || NOT_DOCUMENTED);
+
+    lines.push('', '## Limitations', '');
+    if (card.limitations.length === 0) {
+      lines.push(NOT_DOCUMENTED);
+    } else {
+      card.limitations.forEach(item => lines.push(`- ${item.text}${item.source === 'derived' ? ' _(generated)_' : ''}`));
+    }
+
+    lines.push('', '## Performance metrics', '');
+    lines.push(card.metrics.length === 0
+      ? 'No metrics recorded.'
+      : markdownTable(['Metric', 'Value', 'Better when'],
+        card.metrics.map(row => [row.metric, formatValue(row.value), row.betterWhen || '—']), [null, 'right']));
+
+    fieldTable('Model architecture', card.architecture);
+    fieldTable('Training config', card.trainingConfig);
+
+    lines.push('', '## Features', '');
+    lines.push(`- **Input:** ${card.features.input.length ? card.features.input.map(item => `\`${item}\``).join(', ') : '—'}`);
+    lines.push(`- **Output:** ${card.features.output.length ? card.features.output.map(item => `\`${item}\``).join(', ') : '—'}`);
+
+    lines.push('', `## Top ${card.shap.top} SHAP features`, '');
+    lines.push(card.shap.features.length === 0
+      ? 'No SHAP feature importances in the package.'
+      : markdownTable(['Rank', 'Feature', 'Importance'],
+        card.shap.features.map((row, index) => [index + 1, row.feature, formatValue(row.importance)]), ['right', null, 'right']));
+
+    lines.push('', `_Generated ${card.generatedAt} by retail-ml-ipfs-service._`);
+    return `${lines.join('\n')}\n`;
+  }
+
+  renderHtml(card) {
+    const details = [
+      ['Name', card.details.name],
+      ['Version', card.version],
+      ['Author', card.details.author],
+      ['License', card.details.license],
+      ['Framework', [card.details.framework, card.details.library].filter(Boolean).join(' / ') || null],
+      ['Target', card.details.target],
+      ['Forecast horizon', card.details.horizon?.join(', ')],
+      ['Trained on data up to', card.details.trainedOn],
+      ['Tags', card.details.tags.join(', ') || null],
+      ['Stored', card.details.storedAt],
+      ['Project', card.details.project],
+      ['Provenance', `${card.provenance.status}${card.provenance.keyId ? ` (signed by ${card.provenance.keyId} at ${card.provenance.signedAt})` : ''}`]
+    ].filter(([, value]) => value);
+    const fieldTable = fields => htmlTable(['Field', 'Value'],
+      Object.entries(fields).map(([field, value]) => [field, formatValue(value)]), NOT_DOCUMENTED);
+    const featureList = list => (list.length ? list.map(item => `<code>${escapeHtml(item)}</code>`).join(', ') : '—');
+
+    return htmlDocument(`Model card: ${label(card)}`, `<h1>Model card: ${escapeHtml(label(card))}</h1>
+<p><code>${escapeHtml(card.ipfsHash)}</code></p>
+<h2>Model details</h2>
+<ul>
+${details.map(([name, value]) => `  <li><strong>${name}:</strong> ${escapeHtml(value)}</li>`).join('\n')}
+</ul>
+<h2>Description</h2>
+<p>${escapeHtml(card.description || NOT_DOCUMENTED)}</p>
+<h2>Intended use</h2>
+<p>${escapeHtml(card.intendedUse || NOT_DOCUMENTED)}</p>
+<h2>Limitations</h2>
+${card.limitations.length === 0
+    ? `<p>${NOT_DOCUMENTED}</p>`
+    : `<ul>\n${card.limitations.map(item => `  <li>${escapeHtml(item.text)}${item.source === 'derived' ? ' <em>(generated)</em>' : ''}</li>`).join('\n')}\n</ul>`}
+<h2>Performance metrics</h2>
+${htmlTable(['Metric', 'Value', 'Better when'], card.metrics.map(row =>
+    [row.metric, formatValue(row.value), row.betterWhen || '—']), 'No metrics recorded.')}
+<h2>Model architecture</h2>
+${fieldTable(card.architecture)}
+<h2>Training config</h2>
+${fieldTable(card.trainingConfig)}
+<h2>Features</h2>
+<ul>
+  <li><strong>Input:</strong> ${featureList(card.features.input)}</li>
+  <li><strong>Output:</strong> ${featureList(card.features.output)}</li>
+</ul>
+<h2>Top ${card.shap.top} SHAP features</h2>
+${htmlTable(['Rank', 'Feature', 'Importance'], card.shap.features.map((row, index) =>
+    [index + 1, row.feature, formatValue(row.importance)]), 'No SHAP feature importances in the package.')}
+<p><em>Generated ${escapeHtml(card.generatedAt)} by retail-ml-ipfs-service.</em></p>`);
+  }
+
+  render(card, format) {
+    if (format === 'markdown') return this.renderMarkdown(card);
+    if (format === 'html') return this.renderHtml(card);
+    return JSON.stringify(card, null, 2);
+  }
+
+  // Pin the card of a model as its own directory. A model has one pinned
+  // card; pinning again (e.g. after the signing key changed) replaces the
+  // record, and the previous card stays pinned until it is deleted.
+  async pin(ipfsHash, { pinnedBy = null, uploadId = null } = {}) {
+    const card = await this.build(ipfsHash);
+    const envelope = card.details.encrypted ? await encryptionService.createDataKey() : null;
+
+    const files = this.formats.map(format => {
+      const content = Buffer.from(this.render(card, format));
+      return envelope
+        ? { path: CARD_FILES[format], content: encryptionService.seal(content, envelope.dataKey), contentType: 'application/octet-stream' }
+        : { path: CARD_FILES[format], content };
+    });
+
+    const result = await ipfsService.uploadDirectory(files, {
+      modelName: `${card.modelName || 'model'}-card`,
+      version: card.version || undefined,
+      modelType: 'model-card',
+      timestamp: card.generatedAt,
+      project: card.details.project || undefined
+    }, { rootName: 'model-card', encryption: envelope?.keyvalues, uploadId });
+
+    const previous = this.pinned(ipfsHash);
+    const record = {
+      modelHash: ipfsHash,
+      cid: result.ipfsHash,
+      files: result.files,
+      encrypted: !!envelope,
+      pinnedAt: new Date().toISOString(),
+      pinnedBy,
+      previous: previous ? previous.cid : null
+    };
+
+    await this.store.update(data => {
+      data.cards[ipfsHash] = record;
+    });
+
+    console.log(`🪪 Model card for ${ipfsHash} pinned as ${record.cid}`);
+    return { card, pinned: record, provenance: result.provenance };
+  }
+
+  // One rendering of a pinned card, as it was pinned
+  async readPinned(ipfsHash, format) {
+    const record = this.pinned(ipfsHash);
+    if (!record) {
+      throw new ServiceError(`No card has been pinned for ${ipfsHash}`, 404);
+    }
+
+    const { content, verification } = await ipfsService.fetchContent(record.cid, CARD_FILES[format]);
+    return { content, verification, record };
+  }
+}
+
+// Create and export singleton instance
+const modelCardService = new ModelCardService();
+module.exports = modelCardService;
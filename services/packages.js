@@ -0,0 +1,214 @@
+const { computeCid } = require('./cid');
+const { ServiceError } = require('./errors');
+const ipfsService = require('./ipfs');
+const encryptionService = require('./encryption');
+const schemaService = require('./schemas');
+
+// Files that make up a model package directory, by component name
+const COMPONENTS = {
+  manifest: 'manifest.json',
+  weights: 'weights/model_weights.json',
+  data: 'model_data.json',
+  metrics: 'metrics.json',
+  shap: 'shap.json',
+  metadata: 'metadata.json',
+  architecture: 'model_architecture.json',
+  training: 'training_config.json'
+};
+
+// Field each component occupies in the assembled model package (and in the
+// single JSON blob that packages were stored as before)
+const PACKAGE_FIELDS = {
+  weights: 'model_weights',
+  data: 'model_data',
+  metrics: 'performance_metrics',
+  shap: 'shap_analysis',
+  metadata: 'metadata',
+  architecture: 'model_architecture',
+  training: 'training_config'
+};
+
+function toJSON(value) {
+  return Buffer.from(JSON.stringify(value, null, 2));
+}
+
+// TFT model packages, stored as a UnixFS directory with one file per
+// component so that e.g. the metrics can be read without the weights.
+// Packages stored earlier as a single JSON blob are still readable.
+// Encrypted packages seal every file (the manifest too) with one data key;
+// the directory structure and file names stay readable.
+class ModelPackageService {
+  constructor() {
+    this.components = Object.keys(COMPONENTS);
+  }
+
+  // The body is validated against the tft-model-package schema first; the
+  // manifest records the schema version it matched
+  async storeTFTModel(body, { project, encrypt = false, uploadId = null } = {}) {
+    const schema = schemaService.validate('tft-model-package', body);
+    const { model_data, model_weights, performance_metrics, shap_analysis, model_metadata, model_architecture, training_config } = body;
+    const files = [];
+    const manifestComponents = {};
+    const envelope = encrypt ? await encryptionService.createDataKey() : null;
+
+    // Component CIDs in the manifest are those of the stored (sealed) files
+    const toFile = value => envelope
+      ? { content: encryptionService.seal(toJSON(value), envelope.dataKey), contentType: 'application/octet-stream' }
+      : { content: toJSON(value), contentType: 'application/json' };
+
+    const addComponent = (component, value) => {
+      const file = toFile(value);
+      const { cid, size } = computeCid(file.content, { cidVersion: ipfsService.cidVersion });
+      files.push({ path: COMPONENTS[component], ...file });
+      manifestComponents[component] = { path: COMPONENTS[component], cid, size };
+    };
+
+    if (model_weights !== undefined) addComponent('weights', model_weights);
+    if (model_data !== undefined) addComponent('data', model_data);
+    addComponent('metrics', performance_metrics);
+    addComponent('shap', shap_analysis || {});
+    addComponent('metadata', model_metadata);
+    if (model_architecture !== undefined) addComponent('architecture', model_architecture);
+    if (training_config !== undefined) addComponent('training', training_config);
+
+    const manifest = {
+      type: 'tft_churn_model',
+      layout: 'directory',
+      schema: schema,
+      version: model_metadata.version || '1.0.0',
+      modelName: model_metadata.modelName || 'retail-churn-tft',
+      timestamp: new Date().toISOString(),
+      components: manifestComponents,
+      encrypted: !!envelope,
+      storage: {
+        hasWeights: !!model_weights,
+        weightsSize: model_weights ? model_weights.length : 0,
+        storedAt: new Date().toISOString(),
+        service: 'retail-ml-ipfs-service'
+      }
+    };
+    files.unshift({ path: COMPONENTS.manifest, ...toFile(manifest) });
+
+    const result = await ipfsService.uploadDirectory(files, {
+      modelName: manifest.modelName,
+      version: manifest.version,
+      accuracy: performance_metrics.accuracy,
+      modelType: 'temporal_fusion_transformer',
+      timestamp: manifest.timestamp,
+      project: project
+    }, { encryption: envelope?.keyvalues, uploadId });
+
+    return { ...result, manifest };
+  }
+
+  // 'directory' for packages stored as directories, 'blob' for everything else
+  async getLayout(ipfsHash) {
+    const node = await ipfsService.getNode(ipfsHash);
+    return node.type === 'directory' ? 'directory' : 'blob';
+  }
+
+  async readBlob(ipfsHash) {
+    const { content, verification } = await ipfsService.fetchContent(ipfsHash);
+    const rawData = JSON.parse(content.toString('utf8'));
+
+    return {
+      raw: rawData,
+      modelPackage: rawData.data ? JSON.parse(rawData.data) : rawData,
+      verification
+    };
+  }
+
+  async readFile(ipfsHash, filePath) {
+    const { content, verification } = await ipfsService.fetchContent(ipfsHash, filePath);
+    return { value: JSON.parse(content.toString('utf8')), verification };
+  }
+
+  // The full package in the shape store-model has always accepted, whichever
+  // layout it was stored in
+  async getPackage(ipfsHash) {
+    const layout = await this.getLayout(ipfsHash);
+
+    if (layout === 'blob') {
+      const { modelPackage, verification } = await this.readBlob(ipfsHash);
+      return { layout, modelPackage, verified: verification.verified, verification: [verification] };
+    }
+
+    const manifest = await this.readFile(ipfsHash, COMPONENTS.manifest);
+    const { components, ...modelPackage } = manifest.value;
+    const verification = [manifest.verification];
+
+    for (const component of Object.keys(components)) {
+      const { value, verification: fileVerification } = await this.readFile(ipfsHash, components[component].path);
+      modelPackage[PACKAGE_FIELDS[component]] = value;
+      verification.push(fileVerification);
+    }
+
+    return {
+      layout,
+      modelPackage,
+      verified: verification.every(result => result.verified),
+      verification
+    };
+  }
+
+  // A single component such as 'metrics'; for a directory only that file is fetched
+  async getComponent(ipfsHash, component) {
+    if (!COMPONENTS[component]) {
+      throw new ServiceError(`Unknown component "${component}". Expected one of: ${this.components.join(', ')}`, 404);
+    }
+
+    const layout = await this.getLayout(ipfsHash);
+
+    if (layout === 'directory') {
+      const { value, verification } = await this.readFile(ipfsHash, COMPONENTS[component]);
+      return { layout, component, path: COMPONENTS[component], value, verification };
+    }
+
+    const { modelPackage, verification } = await this.readBlob(ipfsHash);
+    let value;
+    if (component === 'manifest') {
+      value = { ...modelPackage };
+      Object.values(PACKAGE_FIELDS).forEach(field => delete value[field]);
+    } else if (modelPackage[PACKAGE_FIELDS[component]] !== undefined) {
+      value = modelPackage[PACKAGE_FIELDS[component]];
+    } else {
+      throw new ServiceError(`Model ${ipfsHash} has no ${component} component`, 404);
+    }
+
+    return { layout, component, path: null, value, verification };
+  }
+
+  // Metrics and descriptive metadata, without the weights or data: for a
+  // directory only the manifest, metrics.json and metadata.json are fetched.
+  // Blobs uploaded through upload-model keep their metadata in the envelope.
+  async getSummary(ipfsHash) {
+    const layout = await this.getLayout(ipfsHash);
+
+    if (layout === 'directory') {
+      const { value: manifest } = await this.readFile(ipfsHash, COMPONENTS.manifest);
+      const read = async component => manifest.components?.[component]
+        ? (await this.readFile(ipfsHash, manifest.components[component].path)).value
+        : null;
+
+      return {
+        layout,
+        metrics: await read('metrics') || {},
+        metadata: { modelName: manifest.modelName, version: manifest.version, ...await read('metadata') }
+      };
+    }
+
+    const { raw, modelPackage } = await this.readBlob(ipfsHash);
+    // The envelope's own version and service fields describe the upload, not the model
+    const { version, service, ...envelope } = raw.data ? raw.metadata || {} : {};
+
+    return {
+      layout,
+      metrics: modelPackage.performance_metrics || {},
+      metadata: { ...envelope, ...(modelPackage.metadata || modelPackage.model_metadata) }
+    };
+  }
+}
+
+// Create and export singleton instance
+const modelPackageService = new ModelPackageService();
+module.exports = modelPackageService;
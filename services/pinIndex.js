@@ -0,0 +1,243 @@
+const path = require('path');
+const JsonStore = require('./jsonStore');
+
+function emptySync() {
+  return {
+    lastAttemptAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    durationMs: null,
+    truncated: false,
+    changes: { added: 0, updated: 0, unpinned: 0 }
+  };
+}
+
+// What listings use of a pin; providers add fields of their own (ids,
+// regions, ...) that written-through pins don't have
+function fingerprint(pin) {
+  return JSON.stringify([pin.size, pin.metadata?.name, pin.metadata?.keyvalues, !!pin.date_unpinned]);
+}
+
+// Pins in the shape providers list them, so callers can't mutate the index
+function copyRow({ indexed_at, ...row }) {
+  return { ...row, metadata: { ...row.metadata, keyvalues: { ...row.metadata?.keyvalues } } };
+}
+
+// Local copy of the provider's pin list and pin metadata, so listings don't
+// page through the provider on every request. Uploads, unpins and keyvalue
+// changes made through this service are written through; everything else
+// (pins made elsewhere, provider-side deletes) is picked up by a periodic
+// reconciliation with the provider.
+//
+// Stored in DATA_DIR/pin-index.json. The index is rebuilt from scratch when
+// STORAGE_PROVIDER changes, and listings wait for the first sync.
+class PinIndex {
+  constructor(provider) {
+    this.provider = provider;
+    this.syncIntervalMs = parseFloat(process.env.PIN_INDEX_SYNC_INTERVAL_MINUTES || '10') * 60 * 1000;
+    this.syncLimit = parseInt(process.env.PIN_INDEX_SYNC_LIMIT || '10000');
+    this.store = new JsonStore(
+      path.resolve(process.env.DATA_DIR || './data', 'pin-index.json'),
+      { provider: null, pins: {}, sync: emptySync() }
+    );
+    this.syncing = null;
+    this.timer = null;
+  }
+
+  // Whether the index holds a completed sync of the current provider
+  isReady() {
+    const data = this.store.load();
+    return data.provider === this.provider.name && !!data.sync.lastSuccessAt;
+  }
+
+  async listPins({ status = 'all', limit = 1000 } = {}) {
+    if (!this.isReady()) await this.sync();
+
+    // Like the providers, anything other than an explicit 'unpinned' lists current pins
+    const wanted = status === 'unpinned' ? 'unpinned' : 'pinned';
+    const rows = Object.values(this.store.load().pins)
+      .filter(pin => (pin.date_unpinned ? 'unpinned' : 'pinned') === wanted)
+      .sort((a, b) => new Date(b.date_pinned) - new Date(a.date_pinned));
+
+    return { count: rows.length, rows: rows.slice(0, limit).map(copyRow) };
+  }
+
+  // The indexed pin for `cid` (pinned or unpinned), or null
+  get(cid) {
+    const pin = this.store.load().pins[cid];
+    return pin ? copyRow(pin) : null;
+  }
+
+  // get(), after the first sync if there hasn't been one, for decisions
+  // (like access checks) that must not treat a not-yet-indexed pin as absent
+  async lookup(cid) {
+    if (!this.isReady()) await this.sync();
+    return this.get(cid);
+  }
+
+  // Write-through failures are logged rather than thrown: the provider
+  // already has the change, and the next sync brings the index up to date
+  async write(description, mutator) {
+    try {
+      await this.store.update(mutator);
+    } catch (error) {
+      console.warn(`⚠️  Pin index not updated (${description}): ${error.message}`);
+    }
+  }
+
+  async recordPin(cid, { name, keyvalues, size, timestamp }) {
+    await this.write(`pin ${cid}`, data => {
+      data.pins[cid] = {
+        ipfs_pin_hash: cid,
+        size,
+        date_pinned: timestamp || new Date().toISOString(),
+        date_unpinned: null,
+        metadata: { name, keyvalues: { ...keyvalues } },
+        indexed_at: new Date().toISOString()
+      };
+    });
+  }
+
+  async recordUnpin(cid) {
+    await this.write(`unpin ${cid}`, data => {
+      const pin = data.pins[cid];
+      if (!pin) return;
+      pin.date_unpinned = new Date().toISOString();
+      pin.indexed_at = pin.date_unpinned;
+    });
+  }
+
+  async recordKeyvalues(cid, keyvalues) {
+    await this.write(`keyvalues of ${cid}`, data => {
+      const pin = data.pins[cid];
+      if (!pin) return;
+      pin.metadata = { ...pin.metadata, keyvalues: { ...pin.metadata?.keyvalues, ...keyvalues } };
+      pin.indexed_at = new Date().toISOString();
+    });
+  }
+
+  // Reconcile with the provider. Concurrent callers share one run.
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.reconcile().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async reconcile() {
+    const startedAt = new Date();
+    console.log(`🔄 Syncing pin index with ${this.provider.label}...`);
+
+    let pinned;
+    let unpinned;
+    try {
+      [pinned, unpinned] = await Promise.all([
+        this.provider.listPins({ status: 'pinned', limit: this.syncLimit }),
+        this.provider.listPins({ status: 'unpinned', limit: this.syncLimit })
+      ]);
+    } catch (error) {
+      const message = error.response?.data?.error || error.message;
+      await this.store.update(data => {
+        data.sync.lastAttemptAt = startedAt.toISOString();
+        data.sync.lastError = message;
+      });
+      console.error('❌ Pin index sync failed:', message);
+      throw error;
+    }
+
+    // A listing cut off at the limit can't tell us which pins are gone
+    const truncated = pinned.rows.length >= this.syncLimit;
+
+    const result = await this.store.update(data => {
+      const previous = data.provider === this.provider.name ? data.pins : {};
+      const pins = {};
+      const changes = { added: 0, updated: 0, unpinned: 0 };
+      const now = new Date().toISOString();
+
+      [...unpinned.rows, ...pinned.rows].forEach(row => {
+        const old = previous[row.ipfs_pin_hash] || {};
+        const current = { ...structuredClone(row), date_unpinned: row.date_unpinned || null };
+
+        if (!previous[row.ipfs_pin_hash]) {
+          if (!current.date_unpinned) changes.added++;
+        } else if (!old.date_unpinned && current.date_unpinned) {
+          changes.unpinned++;
+        } else if (fingerprint(old) !== fingerprint(current)) {
+          changes.updated++;
+        }
+        pins[row.ipfs_pin_hash] = { ...current, indexed_at: now };
+      });
+
+      // Pins the provider no longer lists were removed there, unless they
+      // were written through after the listing was taken
+      Object.values(previous).forEach(pin => {
+        if (pins[pin.ipfs_pin_hash]) return;
+
+        if (new Date(pin.indexed_at) >= startedAt || pin.date_unpinned || truncated) {
+          pins[pin.ipfs_pin_hash] = pin;
+        } else {
+          pins[pin.ipfs_pin_hash] = { ...pin, date_unpinned: now, indexed_at: now };
+          changes.unpinned++;
+        }
+      });
+
+      data.provider = this.provider.name;
+      data.pins = pins;
+      data.sync = {
+        lastAttemptAt: startedAt.toISOString(),
+        lastSuccessAt: now,
+        lastError: null,
+        durationMs: Date.now() - startedAt.getTime(),
+        truncated,
+        changes
+      };
+
+      return data.sync;
+    });
+
+    const { added, updated, unpinned: removed } = result.changes;
+    console.log(`✅ Pin index synced in ${result.durationMs}ms (+${added} ~${updated} -${removed})`);
+    return result;
+  }
+
+  status() {
+    const data = this.store.load();
+    const pins = Object.values(data.pins);
+    const ageMs = data.sync.lastSuccessAt ? Date.now() - new Date(data.sync.lastSuccessAt) : null;
+
+    return {
+      provider: this.provider.name,
+      ready: this.isReady(),
+      syncing: !!this.syncing,
+      // Missing two scheduled syncs in a row means something is wrong
+      stale: ageMs === null || (this.syncIntervalMs > 0 && ageMs > 2 * this.syncIntervalMs),
+      pinned: pins.filter(pin => !pin.date_unpinned).length,
+      unpinned: pins.filter(pin => pin.date_unpinned).length,
+      ...(data.provider === this.provider.name ? data.sync : emptySync()),
+      ageSeconds: ageMs === null ? null : Math.round(ageMs / 1000),
+      settings: {
+        syncIntervalMinutes: this.syncIntervalMs / 60000,
+        syncLimit: this.syncLimit
+      }
+    };
+  }
+
+  // Sync now and then every PIN_INDEX_SYNC_INTERVAL_MINUTES (0 disables the timer)
+  start() {
+    if (this.timer) return;
+
+    const sync = () => {
+      this.sync().catch(() => {});
+    };
+
+    sync();
+    if (this.syncIntervalMs > 0) {
+      this.timer = setInterval(sync, this.syncIntervalMs);
+      this.timer.unref();
+    }
+  }
+}
+
+module.exports = PinIndex;
@@ -0,0 +1,201 @@
+const path = require('path');
+const JsonStore = require('./jsonStore');
+const { ServiceError } = require('./errors');
+
+// Pins without a project keyvalue (everything uploaded before projects
+// existed) belong to this project
+const DEFAULT_PROJECT = process.env.DEFAULT_PROJECT || 'default';
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Scopes a grant can give, weakest first
+const GRANT_SCOPES = ['read', 'write'];
+
+// Project namespaces for teams sharing one storage account. Every pin is
+// tagged with a `project` keyvalue, and each API key belongs to a project.
+// A key only sees its own project unless the other project has granted its
+// project access. Admin keys without a project see every project.
+class ProjectService {
+  constructor() {
+    this.defaultProject = DEFAULT_PROJECT;
+    this.store = new JsonStore(
+      path.resolve(process.env.DATA_DIR || './data', 'projects.json'),
+      { projects: {} }
+    );
+  }
+
+  // The default project always exists, even before anything is stored
+  all() {
+    const projects = this.store.load().projects;
+    if (projects[DEFAULT_PROJECT]) return projects;
+
+    return {
+      [DEFAULT_PROJECT]: {
+        name: DEFAULT_PROJECT,
+        description: 'Models uploaded without a project',
+        createdAt: null,
+        createdBy: null,
+        grants: {}
+      },
+      ...projects
+    };
+  }
+
+  exists(name) {
+    return !!this.all()[name];
+  }
+
+  get(name) {
+    const project = this.all()[name];
+    if (!project) {
+      throw new ServiceError(`Project "${name}" not found`, 404);
+    }
+    return project;
+  }
+
+  list() {
+    return Object.values(this.all()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async create({ name, description = '' } = {}, createdBy = null) {
+    if (!NAME_PATTERN.test(name || '')) {
+      throw new ServiceError('name must be 1-64 lowercase letters, digits, "-" or "_"', 400);
+    }
+    if (this.store.load().projects[name]) {
+      throw new ServiceError(`Project "${name}" already exists`, 409);
+    }
+
+    const project = {
+      name,
+      description,
+      createdAt: new Date().toISOString(),
+      createdBy,
+      grants: {}
+    };
+
+    await this.store.update(data => {
+      data.projects[name] = project;
+    });
+
+    return project;
+  }
+
+  // Let keys of project `grantee` read (or also write) project `name`
+  async grant(name, grantee, scope) {
+    const project = this.get(name);
+    this.get(grantee);
+
+    if (!GRANT_SCOPES.includes(scope)) {
+      throw new ServiceError(`scope must be one of: ${GRANT_SCOPES.join(', ')}`, 400);
+    }
+    if (grantee === name) {
+      throw new ServiceError('A project always has access to itself', 400);
+    }
+
+    await this.store.update(data => {
+      data.projects[name] = data.projects[name] || project;
+      data.projects[name].grants[grantee] = { scope, grantedAt: new Date().toISOString() };
+    });
+
+    return this.get(name);
+  }
+
+  async revokeGrant(name, grantee) {
+    const project = this.get(name);
+    if (!project.grants[grantee]) {
+      throw new ServiceError(`Project "${grantee}" has no access to "${name}"`, 404);
+    }
+
+    await this.store.update(data => {
+      delete data.projects[name].grants[grantee];
+    });
+
+    return this.get(name);
+  }
+
+  // Whether a caller whose home project is `home` (null for global admin
+  // keys) may use project `name` with `scope`
+  canAccess(home, name, scope) {
+    if (home === null || home === name) return true;
+
+    const grant = this.all()[name]?.grants[home];
+    return !!grant && GRANT_SCOPES.indexOf(grant.scope) >= GRANT_SCOPES.indexOf(scope);
+  }
+
+  // Projects a caller can at least read
+  accessible(home) {
+    return this.list().filter(project => this.canAccess(home, project.name, 'read'));
+  }
+
+  // The project a request acts on: the X-Project header or ?project=, else
+  // the key's own project. null means every project (global admin keys only).
+  resolve(principal, requested, scope) {
+    const home = principal.project ?? null;
+    const name = requested || home;
+
+    if (name === null) return null;
+    if (!this.exists(name)) {
+      throw new ServiceError(`Project "${name}" not found`, 404);
+    }
+    if (!this.canAccess(home, name, scope === 'admin' ? 'write' : scope)) {
+      throw new ServiceError(`This key has no ${scope} access to project "${name}"`, 403);
+    }
+
+    return name;
+  }
+
+  // Admin keys manage the grants of their own project; admin keys without a
+  // project manage every project and are the only ones that can create them
+  assertCanManage(principal, name = null) {
+    const home = principal.project ?? null;
+    if (home === null || (name !== null && home === name)) return;
+
+    throw new ServiceError(
+      name === null ? 'Only admin keys without a project can create projects' : `This key can only manage project "${home}"`,
+      403
+    );
+  }
+
+  projectOf(file) {
+    return file.metadata?.keyvalues?.project || DEFAULT_PROJECT;
+  }
+
+  // Files belonging to `project`, or all of them when project is null
+  filterFiles(files, project) {
+    if (project === null) return files;
+    return files.filter(file => this.projectOf(file) === project);
+  }
+
+  // Per-project file counts and storage totals for a pin listing
+  usage(files, trashed = new Set()) {
+    const totals = {};
+
+    files.forEach(file => {
+      const project = this.projectOf(file);
+      const usage = totals[project] = totals[project] || {
+        files: 0,
+        pinned: 0,
+        unpinned: 0,
+        trashed: 0,
+        storage: { total: 0, pinned: 0, unpinned: 0 }
+      };
+
+      usage.files++;
+      usage.storage.total += file.size || 0;
+      if (file.status === 'unpinned') {
+        usage.unpinned++;
+        usage.storage.unpinned += file.size || 0;
+      } else {
+        usage.pinned++;
+        usage.storage.pinned += file.size || 0;
+        if (trashed.has(file.ipfs_pin_hash)) usage.trashed++;
+      }
+    });
+
+    return totals;
+  }
+}
+
+// Create and export singleton instance
+const projectService = new ProjectService();
+module.exports = projectService;
@@ -0,0 +1,37 @@
+const PinataProvider = require('./pinata');
+const LocalProvider = require('./local');
+const KuboProvider = require('./kubo');
+
+// Storage providers implement:
+//   pinFile(content, { filename, contentType, name, keyvalues, cidVersion, wrapWithDirectory })
+//     -> { cid, size, timestamp }
+//   pinStream(readable, options) -> { cid, size, timestamp }   (same options, never buffered)
+//   pinDirectory([{ path, content, contentType }], { rootName, name, keyvalues, cidVersion })
+//     -> { cid, size, timestamp }   (one UnixFS directory, nested by path)
+//   cat(cid, { verify }) -> Buffer   (verify(bytes, source) throws to reject content)
+//   catStream(cid, { offset, length }) -> Readable   (unverified; offset/length select a byte range)
+//   The pin* methods also take onProgress(bytesSent, totalBytes | null), called
+//   as the upload is sent to the provider
+//   getBlock(cid, { verify }) -> Buffer   (a single raw block, same verify contract)
+//   listPins({ status, limit }) -> { count, rows }   (rows in Pinata's pinList shape)
+//   getPin(cid) -> row | null
+//   updateKeyvalues(cid, keyvalues)   (merged into the pin's existing keyvalues)
+//   unpin(cid)
+//   testConnection() -> provider details
+const PROVIDERS = {
+  pinata: PinataProvider,
+  local: LocalProvider,
+  kubo: KuboProvider
+};
+
+function createProvider(name = process.env.STORAGE_PROVIDER || 'pinata') {
+  const Provider = PROVIDERS[name.toLowerCase()];
+
+  if (!Provider) {
+    throw new Error(`Unknown STORAGE_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider();
+}
+
+module.exports = { createProvider, PROVIDERS };
@@ -0,0 +1,299 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const path = require('path');
+const JsonStore = require('../jsonStore');
+const { mapLimit } = require('../concurrency');
+
+// How many pins made directly on the node are described at the same time
+const DESCRIBE_CONCURRENCY = 4;
+
+// Storage provider backed by a self-hosted IPFS node (Kubo HTTP RPC API).
+// Kubo has no notion of pin names or keyvalues, so Pinata-style metadata is
+// kept in a local sidecar file keyed by CID.
+class KuboProvider {
+  constructor() {
+    this.name = 'kubo';
+    this.label = 'Kubo';
+
+    // No default: Kubo's usual RPC port (5001) is also the port this service
+    // is commonly run on, and calling ourselves would fail in confusing ways
+    if (!process.env.KUBO_API_URL) {
+      throw new Error('STORAGE_PROVIDER=kubo requires KUBO_API_URL (the Kubo RPC API, e.g. http://127.0.0.1:5001)');
+    }
+    this.apiURL = process.env.KUBO_API_URL.replace(/\/$/, '');
+    this.authorization = process.env.KUBO_API_AUTH;
+
+    this.sidecar = new JsonStore(
+      path.resolve(process.env.KUBO_METADATA_FILE || path.join(process.env.DATA_DIR || './data', 'kubo-metadata.json')),
+      { pins: {} }
+    );
+  }
+
+  // All Kubo RPC calls are POST requests with arguments in the query string
+  async rpc(command, params = {}, options = {}) {
+    try {
+      const response = await axios.post(
+        `${this.apiURL}/api/v0/${command}`,
+        options.body || null,
+        {
+          params,
+          headers: {
+            ...(options.headers || {}),
+            ...(this.authorization ? { 'Authorization': this.authorization } : {})
+          },
+          responseType: options.responseType || 'json',
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity,
+          timeout: options.timeout ?? 30000,
+          onUploadProgress: options.onUploadProgress
+        }
+      );
+      return response.data;
+    } catch (error) {
+      // Kubo reports failures as { Message, Code, Type }
+      let body = error.response?.data;
+      if (body && typeof body.pipe === 'function') {
+        body = await new Promise(resolve => {
+          const chunks = [];
+          body.on('data', chunk => chunks.push(chunk));
+          body.on('end', () => resolve(Buffer.concat(chunks)));
+          body.on('error', () => resolve(null));
+        });
+      }
+      if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+        try {
+          body = JSON.parse(Buffer.from(body).toString('utf8'));
+        } catch (parseError) {
+          body = null;
+        }
+      }
+      if (body?.Message) {
+        throw new Error(`Kubo ${command}: ${body.Message}`);
+      }
+      throw error;
+    }
+  }
+
+  async pinFile(content, options = {}) {
+    const formData = new FormData();
+    formData.append('file', content, {
+      filename: options.filename,
+      contentType: options.contentType
+    });
+
+    return this.add(formData, options);
+  }
+
+  async pinStream(stream, options = {}) {
+    const formData = new FormData();
+    formData.append('file', stream, {
+      filename: options.filename,
+      contentType: options.contentType
+    });
+
+    // Large artifacts can take far longer than the default 30s to add
+    return this.add(formData, { ...options, timeout: 0 });
+  }
+
+  // Kubo wants every directory as an explicit part, parents before children,
+  // and URL-decodes part filenames
+  async pinDirectory(files, options = {}) {
+    const formData = new FormData();
+    const rootName = options.rootName || 'package';
+    const directories = new Set([rootName]);
+
+    files.forEach(file => {
+      const segments = file.path.split('/');
+      for (let i = 1; i < segments.length; i++) {
+        directories.add(`${rootName}/${segments.slice(0, i).join('/')}`);
+      }
+    });
+
+    [...directories].sort().forEach(directory => {
+      formData.append('file', Buffer.alloc(0), {
+        filepath: encodeURIComponent(directory),
+        contentType: 'application/x-directory'
+      });
+    });
+    files.forEach(file => {
+      formData.append('file', file.content, {
+        filepath: encodeURIComponent(`${rootName}/${file.path}`),
+        contentType: file.contentType
+      });
+    });
+
+    return this.add(formData, { ...options, wrapWithDirectory: false });
+  }
+
+  async add(formData, options) {
+    const data = await this.rpc('add', {
+      'pin': true,
+      'cid-version': options.cidVersion || 0,
+      'wrap-with-directory': !!options.wrapWithDirectory
+    }, {
+      body: formData,
+      headers: formData.getHeaders(),
+      responseType: 'text',
+      timeout: options.timeout,
+      onUploadProgress: options.onProgress && (progress => options.onProgress(progress.loaded, progress.total ?? null))
+    });
+
+    // `add` streams one JSON object per line; the root is the last one
+    const entries = String(data).trim().split('\n').map(line => JSON.parse(line));
+    const root = entries[entries.length - 1];
+    const timestamp = new Date().toISOString();
+
+    await this.sidecar.update(sidecar => {
+      sidecar.pins[root.Hash] = {
+        ipfs_pin_hash: root.Hash,
+        size: parseInt(root.Size),
+        date_pinned: timestamp,
+        date_unpinned: null,
+        mime_type: options.contentType || 'application/octet-stream',
+        metadata: {
+          name: options.name,
+          keyvalues: options.keyvalues || {}
+        }
+      };
+    });
+
+    return { cid: root.Hash, size: parseInt(root.Size), timestamp };
+  }
+
+  async cat(ipfsHash, { verify } = {}) {
+    const data = await this.rpc('cat', { arg: ipfsHash }, { responseType: 'arraybuffer' });
+    const content = Buffer.from(data);
+
+    if (verify) verify(content, 'kubo');
+    return content;
+  }
+
+  async catStream(ipfsHash, { offset, length } = {}) {
+    return this.rpc('cat', { arg: ipfsHash, offset, length }, { responseType: 'stream', timeout: 0 });
+  }
+
+  async getBlock(ipfsHash, { verify } = {}) {
+    const data = await this.rpc('block/get', { arg: ipfsHash }, { responseType: 'arraybuffer' });
+    const block = Buffer.from(data);
+
+    if (verify) verify(block, 'kubo');
+    return block;
+  }
+
+  async pinnedKeys() {
+    const data = await this.rpc('pin/ls', { type: 'recursive' });
+    return Object.keys(data.Keys || {});
+  }
+
+  // Build a sidecar entry for content that was pinned directly on the node
+  async describeUnknownPin(ipfsHash) {
+    const stat = await this.rpc('files/stat', { arg: `/ipfs/${ipfsHash}` });
+    return {
+      ipfs_pin_hash: ipfsHash,
+      size: stat.CumulativeSize,
+      date_pinned: new Date().toISOString(),
+      date_unpinned: null,
+      mime_type: 'application/octet-stream',
+      metadata: {
+        name: `file-${ipfsHash.substring(0, 8)}`,
+        keyvalues: {}
+      }
+    };
+  }
+
+  // Reconcile the sidecar with the node's recursive pin set
+  async syncSidecar() {
+    const keys = new Set(await this.pinnedKeys());
+    const known = this.sidecar.load().pins;
+
+    const unknown = [...keys].filter(cid => !known[cid] || known[cid].date_unpinned);
+    const discovered = await mapLimit(unknown, DESCRIBE_CONCURRENCY, cid => this.describeUnknownPin(cid));
+
+    const removedElsewhere = Object.values(known)
+      .filter(pin => !pin.date_unpinned && !keys.has(pin.ipfs_pin_hash));
+
+    if (discovered.length > 0 || removedElsewhere.length > 0) {
+      await this.sidecar.update(sidecar => {
+        discovered.forEach(pin => {
+          const previous = sidecar.pins[pin.ipfs_pin_hash];
+          sidecar.pins[pin.ipfs_pin_hash] = previous
+            ? { ...previous, date_pinned: pin.date_pinned, date_unpinned: null }
+            : pin;
+        });
+        removedElsewhere.forEach(pin => {
+          sidecar.pins[pin.ipfs_pin_hash].date_unpinned = new Date().toISOString();
+        });
+      });
+    }
+
+    return this.sidecar.load().pins;
+  }
+
+  async listPins({ status = 'all', limit = 1000 } = {}) {
+    // Like Pinata, anything other than an explicit 'unpinned' lists current pins
+    const wanted = status === 'unpinned' ? 'unpinned' : 'pinned';
+    const pins = await this.syncSidecar();
+
+    const rows = Object.values(pins)
+      .filter(pin => (pin.date_unpinned ? 'unpinned' : 'pinned') === wanted)
+      .sort((a, b) => new Date(b.date_pinned) - new Date(a.date_pinned));
+
+    return { count: rows.length, rows: rows.slice(0, limit) };
+  }
+
+  async getPin(ipfsHash) {
+    try {
+      await this.rpc('pin/ls', { arg: ipfsHash, type: 'recursive' }, { timeout: 10000 });
+    } catch (error) {
+      if (/not pinned/.test(error.message)) return null;
+      throw error;
+    }
+
+    const pin = this.sidecar.load().pins[ipfsHash];
+    if (pin && !pin.date_unpinned) return pin;
+
+    const discovered = await this.describeUnknownPin(ipfsHash);
+    await this.sidecar.update(sidecar => {
+      sidecar.pins[ipfsHash] = pin ? { ...pin, date_pinned: discovered.date_pinned, date_unpinned: null } : discovered;
+    });
+    return this.sidecar.load().pins[ipfsHash];
+  }
+
+  async updateKeyvalues(ipfsHash, keyvalues) {
+    const pin = await this.getPin(ipfsHash);
+    if (!pin) {
+      throw new Error(`${ipfsHash} is not pinned`);
+    }
+
+    await this.sidecar.update(sidecar => {
+      Object.assign(sidecar.pins[ipfsHash].metadata.keyvalues, keyvalues);
+    });
+
+    return 'OK';
+  }
+
+  async unpin(ipfsHash) {
+    const data = await this.rpc('pin/rm', { arg: ipfsHash }, { timeout: 15000 });
+
+    await this.sidecar.update(sidecar => {
+      if (sidecar.pins[ipfsHash]) {
+        sidecar.pins[ipfsHash].date_unpinned = new Date().toISOString();
+      }
+    });
+
+    return data;
+  }
+
+  async testConnection() {
+    const version = await this.rpc('version', {}, { timeout: 10000 });
+    const id = await this.rpc('id', {}, { timeout: 10000 });
+
+    return {
+      apiURL: this.apiURL,
+      version: version.Version,
+      peerId: id.ID
+    };
+  }
+}
+
+module.exports = KuboProvider;
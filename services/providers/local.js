@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const JsonStore = require('../jsonStore');
+const { computeCid, buildDirectory, parseCid, UnixFSFileBuilder } = require('../cid');
+
+// Offline, content-addressed storage on local disk. Objects are stored under
+// their real CID and pins are tracked in a Pinata-shaped index so that every
+// route behaves the same as it does against Pinata. Root and directory blocks
+// are kept alongside so paths inside a pinned directory can be resolved.
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.label = 'Local storage';
+
+    this.storageDir = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(process.env.DATA_DIR || './data', 'ipfs'));
+    this.objectsDir = path.join(this.storageDir, 'objects');
+    this.blocksDir = path.join(this.storageDir, 'blocks');
+    this.pins = new JsonStore(path.join(this.storageDir, 'pins.json'), { pins: {} });
+  }
+
+  objectPath(ipfsHash) {
+    return path.join(this.objectsDir, ipfsHash);
+  }
+
+  async writeBlock(cid, block) {
+    await fs.promises.mkdir(this.blocksDir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.blocksDir, cid), block);
+  }
+
+  // `objects` and `blocks` list what was written for the pin, so unpinning
+  // can clean up everything that no other pin still references
+  async recordPin(cid, dagSize, options, contents = { objects: [cid], blocks: [cid] }) {
+    const timestamp = new Date().toISOString();
+
+    await this.pins.update(data => {
+      data.pins[cid] = {
+        ipfs_pin_hash: cid,
+        size: dagSize,
+        date_pinned: timestamp,
+        date_unpinned: null,
+        mime_type: options.contentType || 'application/octet-stream',
+        metadata: {
+          name: options.name,
+          keyvalues: options.keyvalues || {}
+        },
+        ...contents
+      };
+    });
+
+    return { cid, size: dagSize, timestamp };
+  }
+
+  async pinFile(content, options = {}) {
+    const { cid, dagSize, rootBlock } = computeCid(content, { cidVersion: options.cidVersion || 0 });
+
+    await fs.promises.mkdir(this.objectsDir, { recursive: true });
+    await fs.promises.writeFile(this.objectPath(cid), content);
+    await this.writeBlock(cid, rootBlock);
+    if (options.onProgress) options.onProgress(content.length, content.length);
+
+    return this.recordPin(cid, dagSize, options);
+  }
+
+  // Files are stored as objects under their own CIDs, directories only as blocks
+  async pinDirectory(files, options = {}) {
+    const directory = buildDirectory(files, { cidVersion: options.cidVersion || 0 });
+
+    const totalBytes = files.reduce((sum, file) => sum + file.content.length, 0);
+    let written = 0;
+
+    await fs.promises.mkdir(this.objectsDir, { recursive: true });
+    for (const [index, entry] of directory.files.entries()) {
+      await fs.promises.writeFile(this.objectPath(entry.cid), files[index].content);
+      await this.writeBlock(entry.cid, entry.rootBlock);
+      written += files[index].content.length;
+      if (options.onProgress) options.onProgress(written, totalBytes);
+    }
+    for (const [cid, block] of directory.blocks) {
+      await this.writeBlock(cid, block);
+    }
+
+    return this.recordPin(directory.cid, directory.dagSize, options, {
+      objects: directory.files.map(entry => entry.cid),
+      blocks: [...directory.blocks.keys(), ...directory.files.map(entry => entry.cid)]
+    });
+  }
+
+  // Stream to a temporary file while hashing, then move it under its CID
+  async pinStream(stream, options = {}) {
+    await fs.promises.mkdir(this.objectsDir, { recursive: true });
+
+    const tmpPath = path.join(this.objectsDir, `.upload-${crypto.randomUUID()}`);
+    const builder = new UnixFSFileBuilder({ cidVersion: options.cidVersion || 0 });
+    let written = 0;
+    const hashing = new Transform({
+      transform(chunk, encoding, callback) {
+        builder.update(chunk);
+        written += chunk.length;
+        if (options.onProgress) options.onProgress(written, null);
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(stream, hashing, fs.createWriteStream(tmpPath));
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw error;
+    }
+
+    const { cid, dagSize, rootBlock } = builder.digest();
+    await fs.promises.rename(tmpPath, this.objectPath(cid));
+    await this.writeBlock(cid, rootBlock);
+
+    return this.recordPin(cid, dagSize, options);
+  }
+
+  async cat(ipfsHash, { verify } = {}) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.objectPath(ipfsHash));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Content not found in local store: ${ipfsHash}`);
+      }
+      throw error;
+    }
+
+    if (verify) verify(content, 'local');
+    return content;
+  }
+
+  async catStream(ipfsHash, { offset, length } = {}) {
+    const objectPath = this.objectPath(ipfsHash);
+    if (!fs.existsSync(objectPath)) {
+      throw new Error(`Content not found in local store: ${ipfsHash}`);
+    }
+
+    return fs.createReadStream(objectPath, offset !== undefined ? { start: offset, end: offset + length - 1 } : {});
+  }
+
+  async getBlock(ipfsHash, { verify } = {}) {
+    let block;
+    try {
+      block = await fs.promises.readFile(path.join(this.blocksDir, ipfsHash));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      block = await this.rebuildRootBlock(ipfsHash);
+    }
+
+    if (verify) verify(block, 'local');
+    return block;
+  }
+
+  // Objects pinned before blocks were kept only have their content on disk
+  async rebuildRootBlock(ipfsHash) {
+    const content = await fs.promises.readFile(this.objectPath(ipfsHash)).catch(() => null);
+    const rebuilt = content && computeCid(content, { cidVersion: parseCid(ipfsHash).version });
+
+    if (!rebuilt || rebuilt.cid !== ipfsHash) {
+      throw new Error(`Block not found in local store: ${ipfsHash}`);
+    }
+    return rebuilt.rootBlock;
+  }
+
+  async listPins({ status = 'all', limit = 1000 } = {}) {
+    // Like Pinata, anything other than an explicit 'unpinned' lists current pins
+    const wanted = status === 'unpinned' ? 'unpinned' : 'pinned';
+
+    const rows = Object.values(this.pins.load().pins)
+      .filter(pin => (pin.date_unpinned ? 'unpinned' : 'pinned') === wanted)
+      .sort((a, b) => new Date(b.date_pinned) - new Date(a.date_pinned));
+
+    return { count: rows.length, rows: rows.slice(0, limit) };
+  }
+
+  async getPin(ipfsHash) {
+    const pin = this.pins.load().pins[ipfsHash];
+    return pin && !pin.date_unpinned ? pin : null;
+  }
+
+  async updateKeyvalues(ipfsHash, keyvalues) {
+    if (!await this.getPin(ipfsHash)) {
+      throw new Error(`${ipfsHash} is not pinned`);
+    }
+
+    await this.pins.update(data => {
+      Object.assign(data.pins[ipfsHash].metadata.keyvalues, keyvalues);
+    });
+
+    return 'OK';
+  }
+
+  async unpin(ipfsHash) {
+    const pin = await this.getPin(ipfsHash);
+    if (!pin) {
+      throw new Error(`${ipfsHash} is not pinned`);
+    }
+
+    await this.pins.update(data => {
+      data.pins[ipfsHash].date_unpinned = new Date().toISOString();
+    });
+
+    // Identical files can be shared between pins; keep anything still referenced
+    const remaining = Object.values(this.pins.load().pins).filter(other => !other.date_unpinned);
+    const inUse = key => new Set(remaining.flatMap(other => other[key] || [other.ipfs_pin_hash]));
+    const objectsInUse = inUse('objects');
+    const blocksInUse = inUse('blocks');
+
+    for (const cid of pin.objects || [ipfsHash]) {
+      if (!objectsInUse.has(cid)) await fs.promises.rm(this.objectPath(cid), { force: true });
+    }
+    for (const cid of pin.blocks || [ipfsHash]) {
+      if (!blocksInUse.has(cid)) await fs.promises.rm(path.join(this.blocksDir, cid), { force: true });
+    }
+
+    return 'OK';
+  }
+
+  async testConnection() {
+    await fs.promises.mkdir(this.objectsDir, { recursive: true });
+    await fs.promises.access(this.storageDir, fs.constants.W_OK);
+
+    return {
+      message: 'Local storage is writable',
+      storageDir: this.storageDir,
+      pinCount: Object.values(this.pins.load().pins).filter(pin => !pin.date_unpinned).length
+    };
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,234 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const gatewayPool = require('../gateways');
+
+// Storage provider backed by Pinata's pinning API; content is read back
+// through the gateway pool
+class PinataProvider {
+  constructor() {
+    this.name = 'pinata';
+    this.label = 'Pinata';
+
+    this.pinataApiKey = process.env.PINATA_API_KEY;
+    this.pinataSecret = process.env.PINATA_API_SECRET;
+    this.pinataJWT = process.env.PINATA_JWT;
+
+    this.baseURL = 'https://api.pinata.cloud';
+
+    // Validate configuration
+    this.validateConfig();
+  }
+
+  validateConfig() {
+    const missing = [];
+    if (!this.pinataApiKey) missing.push('PINATA_API_KEY');
+    if (!this.pinataSecret) missing.push('PINATA_API_SECRET');
+    if (!this.pinataJWT) missing.push('PINATA_JWT');
+
+    if (missing.length > 0) {
+      console.warn('⚠️  Missing IPFS configuration:', missing.join(', '));
+      console.log('💡 Get keys from: https://pinata.cloud');
+    }
+  }
+
+  authHeaders() {
+    return {
+      'Authorization': `Bearer ${this.pinataJWT}`
+    };
+  }
+
+  async pinFile(content, options = {}) {
+    return this.pin(content, options);
+  }
+
+  async pinStream(stream, options = {}) {
+    // Large artifacts can take far longer than the default 30s to upload
+    return this.pin(stream, { ...options, timeout: 0 });
+  }
+
+  async pin(content, options) {
+    const formData = new FormData();
+
+    formData.append('file', content, {
+      filename: options.filename,
+      contentType: options.contentType
+    });
+
+    return this.submit(formData, options);
+  }
+
+  // Every file goes in its own part under a common root folder, which is
+  // what Pinata pins and returns the CID of
+  async pinDirectory(files, options = {}) {
+    const formData = new FormData();
+
+    files.forEach(file => {
+      formData.append('file', file.content, {
+        filepath: `${options.rootName || 'package'}/${file.path}`,
+        contentType: file.contentType
+      });
+    });
+
+    return this.submit(formData, { ...options, wrapWithDirectory: false });
+  }
+
+  async submit(formData, options) {
+    // Pinata metadata
+    formData.append('pinataMetadata', JSON.stringify({
+      name: options.name,
+      keyvalues: options.keyvalues || {}
+    }));
+
+    // Pinata options
+    formData.append('pinataOptions', JSON.stringify({
+      cidVersion: options.cidVersion || 0,
+      wrapWithDirectory: !!options.wrapWithDirectory
+    }));
+
+    const response = await axios.post(
+      `${this.baseURL}/pinning/pinFileToIPFS`,
+      formData,
+      {
+        maxBodyLength: Infinity,
+        headers: {
+          ...formData.getHeaders(),
+          ...this.authHeaders()
+        },
+        timeout: options.timeout ?? 30000,
+        onUploadProgress: options.onProgress && (progress => options.onProgress(progress.loaded, progress.total ?? null))
+      }
+    );
+
+    return {
+      cid: response.data.IpfsHash,
+      size: response.data.PinSize,
+      timestamp: response.data.Timestamp
+    };
+  }
+
+  // `verify` is called with the bytes from each gateway and throws to reject them
+  async cat(ipfsHash, { verify } = {}) {
+    return gatewayPool.fetch(ipfsHash, (response, source) => {
+      const content = Buffer.from(response.data);
+      if (verify) verify(content, source);
+      return content;
+    });
+  }
+
+  async catStream(ipfsHash, { offset, length } = {}) {
+    const range = offset !== undefined ? `bytes=${offset}-${offset + length - 1}` : null;
+
+    return gatewayPool.fetch(ipfsHash, response => {
+      // A gateway that ignores Range would send the wrong bytes
+      if (range && response.status !== 206) {
+        response.data.destroy();
+        throw new Error('Gateway does not support range requests');
+      }
+      return response.data;
+    }, {
+      headers: range ? { 'Range': range } : {},
+      responseType: 'stream'
+    });
+  }
+
+  // A single raw block, via the trustless gateway response format
+  async getBlock(ipfsHash, { verify } = {}) {
+    return gatewayPool.fetch(ipfsHash, (response, source) => {
+      const block = Buffer.from(response.data);
+      if (verify) verify(block, source);
+      return block;
+    }, {
+      params: { format: 'raw' },
+      headers: { 'Accept': 'application/vnd.ipld.raw' }
+    });
+  }
+
+  async listPins({ status = 'all', limit = 1000 } = {}) {
+    let rows = [];
+    let count = 0;
+    let pageOffset = 0;
+    const pageLimit = 100; // Pinata's max per page
+
+    // Paginate through all files
+    while (true) {
+      let url = `${this.baseURL}/data/pinList?pageLimit=${pageLimit}&pageOffset=${pageOffset}`;
+
+      if (status !== 'all') {
+        url += `&status=${status}`;
+      }
+
+      const response = await axios.get(url, {
+        headers: this.authHeaders(),
+        timeout: 30000
+      });
+
+      count = response.data.count;
+
+      if (!response.data.rows || response.data.rows.length === 0) {
+        break;
+      }
+
+      rows = [...rows, ...response.data.rows];
+      pageOffset += pageLimit;
+
+      // Stop if we've reached the requested limit or no more files
+      if (rows.length >= limit || response.data.rows.length < pageLimit) {
+        break;
+      }
+    }
+
+    return { count, rows };
+  }
+
+  async getPin(ipfsHash) {
+    const response = await axios.get(
+      `${this.baseURL}/data/pinList?hashContains=${ipfsHash}`,
+      {
+        headers: this.authHeaders(),
+        timeout: 10000
+      }
+    );
+
+    return response.data.rows.find(row => row.ipfs_pin_hash === ipfsHash) || null;
+  }
+
+  // Pinata merges these into the pin's existing keyvalues
+  async updateKeyvalues(ipfsHash, keyvalues) {
+    const response = await axios.put(
+      `${this.baseURL}/pinning/hashMetadata`,
+      { ipfsPinHash: ipfsHash, keyvalues },
+      {
+        headers: this.authHeaders(),
+        timeout: 15000
+      }
+    );
+
+    return response.data;
+  }
+
+  async unpin(ipfsHash) {
+    const response = await axios.delete(
+      `${this.baseURL}/pinning/unpin/${ipfsHash}`,
+      {
+        headers: this.authHeaders(),
+        timeout: 15000
+      }
+    );
+
+    return response.data;
+  }
+
+  async testConnection() {
+    const response = await axios.get(
+      `${this.baseURL}/data/testAuthentication`,
+      {
+        headers: this.authHeaders(),
+        timeout: 10000
+      }
+    );
+
+    return response.data;
+  }
+}
+
+module.exports = PinataProvider;
@@ -0,0 +1,236 @@
+const { ServiceError } = require('./errors');
+
+// Model search expressions, e.g.
+//
+//   metrics.recall>=0.8 AND tags:seasonal AND framework=pytorch
+//   (stage=production OR stage=staging) NOT framework=sklearn
+//   churn "holiday promo" -deprecated
+//
+// A comparison is <field><op><value>, with op one of = != > >= < <= and :
+// ("contains": a substring of a text field, an element of a list). Terms
+// next to each other are ANDed; AND, OR and NOT are upper case; a leading
+// "-" negates a term. Bare words and "quoted phrases" are searched for in
+// the name and description. Numbers compare as numbers, everything else as
+// case-insensitive text. A field a model doesn't have never matches.
+//
+// Fields are dotted paths into a catalog document (metrics.f1_score,
+// metadata.target, keyvalues.project); a bare name that is not a document
+// field is looked up in metadata, then keyvalues, then metrics.
+
+// Shorter names for document fields
+const ALIASES = {
+  type: 'modelType',
+  stage: 'stages',
+  tag: 'tags',
+  cid: 'ipfsHash',
+  hash: 'ipfsHash',
+  uploaded: 'uploadedAt'
+};
+
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+const TOKEN_PATTERN = /\s+|(\()|(\))|"((?:[^"\\]|\\.)*)"|(>=|<=|!=|=|>|<|:)|([^\s()"<>=!:]+)/y;
+
+function tokenize(query) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < query.length) {
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(query);
+    if (!match) {
+      throw new ServiceError(`Unexpected "${query[position]}" at position ${position + 1} of the query`, 400);
+    }
+
+    const [, open, close, quoted, operator, word] = match;
+    if (open) tokens.push({ type: '(', position });
+    else if (close) tokens.push({ type: ')', position });
+    else if (quoted !== undefined) tokens.push({ type: 'phrase', value: quoted.replace(/\\(.)/g, '$1'), position });
+    else if (operator) tokens.push({ type: 'op', value: operator, position });
+    else if (word) tokens.push({ type: ['AND', 'OR', 'NOT'].includes(word) ? word : 'word', value: word, position });
+  }
+
+  return tokens;
+}
+
+// Recursive descent: or := and (OR and)*, and := unary ([AND] unary)*,
+// unary := NOT unary | -term | term, term := ( or ) | comparison | text
+function parseQuery(query) {
+  const tokens = tokenize(query);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message, token = peek()) => {
+    throw new ServiceError(`${message} ${token ? `at position ${token.position + 1}` : 'at the end'} of the query`, 400);
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      index++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    while (peek() && !['OR', ')'].includes(peek().type)) {
+      if (peek().type === 'AND') index++;
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token?.type === 'NOT') {
+      index++;
+      return { type: 'not', child: parseUnary() };
+    }
+    if (token?.type === 'word' && token.value.startsWith('-') && token.value.length > 1 && !NUMBER_PATTERN.test(token.value)) {
+      tokens[index] = { ...token, value: token.value.slice(1), position: token.position + 1 };
+      return { type: 'not', child: parseTerm() };
+    }
+    return parseTerm();
+  };
+
+  const parseTerm = () => {
+    const token = peek();
+    if (!token) fail('Expected a term');
+
+    if (token.type === '(') {
+      index++;
+      const node = parseOr();
+      if (peek()?.type !== ')') fail('Expected ")"');
+      index++;
+      return node;
+    }
+
+    if (token.type === 'word' && tokens[index + 1]?.type === 'op') {
+      const operator = tokens[index + 1];
+      const value = tokens[index + 2];
+      if (!value || !['word', 'phrase'].includes(value.type)) fail(`Expected a value after "${operator.value}"`, value);
+      index += 3;
+      return { type: 'compare', field: token.value, operator: operator.value, value: value.value };
+    }
+
+    if (token.type === 'word' || token.type === 'phrase') {
+      index++;
+      return { type: 'text', value: token.value };
+    }
+
+    fail(`Unexpected "${token.value || token.type}"`);
+  };
+
+  if (tokens.length === 0) return null;
+
+  const tree = parseOr();
+  if (index < tokens.length) fail(`Unexpected "${peek().value || peek().type}"`);
+  return tree;
+}
+
+// The value at a dotted path, or undefined
+function resolveField(document, field) {
+  const [head, ...rest] = field.split('.');
+  const name = ALIASES[head] || head;
+
+  let value;
+  if (name in document) {
+    value = document[name];
+  } else if (rest.length === 0) {
+    value = [document.metadata, document.keyvalues, document.metrics]
+      .map(source => source?.[name])
+      .find(candidate => candidate !== undefined);
+  }
+
+  for (const key of rest) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+
+  return value === null ? undefined : value;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) return Number(value);
+  return null;
+}
+
+function compareScalar(actual, operator, expected) {
+  if (actual === null || typeof actual === 'object') return false;
+
+  const a = toNumber(actual);
+  const b = toNumber(expected);
+  const numeric = a !== null && b !== null;
+  const left = numeric ? a : String(actual).toLowerCase();
+  const right = numeric ? b : String(expected).toLowerCase();
+
+  switch (operator) {
+    case ':': return numeric ? left === right : left.includes(right);
+    case '=': return left === right;
+    case '!=': return left !== right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    default: return false;
+  }
+}
+
+function matches(tree, document) {
+  if (!tree) return true;
+
+  switch (tree.type) {
+    case 'and': return tree.children.every(child => matches(child, document));
+    case 'or': return tree.children.some(child => matches(child, document));
+    case 'not': return !matches(tree.child, document);
+    case 'text': {
+      const text = `${document.name || ''}\n${document.description || ''}`.toLowerCase();
+      return text.includes(tree.value.toLowerCase());
+    }
+    case 'compare': {
+      const value = resolveField(document, tree.field);
+      if (value === undefined) return false;
+
+      // A list matches when any element does, except that != needs all of them to differ
+      if (Array.isArray(value)) {
+        if (tree.operator === ':') return value.some(item => compareScalar(item, '=', tree.value));
+        if (tree.operator === '!=') return value.every(item => compareScalar(item, '!=', tree.value));
+        return value.some(item => compareScalar(item, tree.operator, tree.value));
+      }
+      return compareScalar(value, tree.operator, tree.value);
+    }
+    default:
+      return false;
+  }
+}
+
+// What a document sorts by on `field`: a number, a string or null (missing);
+// lists sort by their first element
+function sortValue(document, field) {
+  let value = resolveField(document, field);
+  if (Array.isArray(value)) value = value[0];
+  if (value === undefined || typeof value === 'object') return null;
+
+  return toNumber(value) ?? String(value);
+}
+
+// Value counts of `field` across documents; list fields count each element
+function facetCounts(documents, field) {
+  const counts = {};
+
+  documents.forEach(document => {
+    const value = resolveField(document, field);
+    const values = Array.isArray(value) ? value : [value];
+    (values.length > 0 ? values : [undefined]).forEach(item => {
+      const key = item === undefined || typeof item === 'object' ? '(none)' : String(item);
+      counts[key] = (counts[key] || 0) + 1;
+    });
+  });
+
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+}
+
+module.exports = { parseQuery, matches, resolveField, sortValue, facetCounts };
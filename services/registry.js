@@ -0,0 +1,338 @@
+const path = require('path');
+const JsonStore = require('./jsonStore');
+const { ServiceError } = require('./errors');
+const ipfsService = require('./ipfs');
+const projectService = require('./projects');
+const eventBus = require('./events');
+
+const STAGES = ['none', 'staging', 'production', 'archived'];
+
+// Moving into one of these publishes model.promoted, anything else model.demoted
+const PROMOTED_STAGES = ['staging', 'production'];
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,127}$/i;
+const SEMVER_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function parseVersion(version) {
+  const match = SEMVER_PATTERN.exec(version || '');
+  if (!match) return null;
+
+  return {
+    major: parseInt(match[1]),
+    minor: parseInt(match[2]),
+    patch: parseInt(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+// Semver precedence: a release ranks above its pre-releases
+function compareVersions(a, b) {
+  const va = parseVersion(a);
+  const vb = parseVersion(b);
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (va[part] !== vb[part]) return va[part] - vb[part];
+  }
+
+  if (va.prerelease.length === 0 || vb.prerelease.length === 0) {
+    return vb.prerelease.length - va.prerelease.length;
+  }
+
+  for (let i = 0; i < Math.max(va.prerelease.length, vb.prerelease.length); i++) {
+    const pa = va.prerelease[i];
+    const pb = vb.prerelease[i];
+    if (pa === undefined) return -1;
+    if (pb === undefined) return 1;
+    if (pa === pb) continue;
+
+    const na = /^\d+$/.test(pa);
+    const nb = /^\d+$/.test(pb);
+    if (na && nb) return parseInt(pa) - parseInt(pb);
+    if (na !== nb) return na ? -1 : 1;
+    return pa < pb ? -1 : 1;
+  }
+
+  return 0;
+}
+
+// Named models with ordered versions, lineage and stages, layered over the
+// pins held by IPFSService. Names are service-wide, but each model belongs to
+// the project it was first registered in: its versions must be pinned there,
+// and registering or staging versions needs write access to it.
+class ModelRegistry {
+  constructor() {
+    this.stages = STAGES;
+    this.store = new JsonStore(
+      path.resolve(process.env.DATA_DIR || './data', 'registry.json'),
+      { models: {} }
+    );
+  }
+
+  summarize(model) {
+    const latest = model.versions[model.versions.length - 1] || null;
+    const production = model.versions.find(v => v.stage === 'production') || null;
+
+    return {
+      name: model.name,
+      project: this.modelProject(model),
+      description: model.description,
+      createdAt: model.createdAt,
+      updatedAt: model.updatedAt,
+      versionCount: model.versions.length,
+      latestVersion: latest ? latest.version : null,
+      productionVersion: production ? production.version : null,
+      stages: STAGES.reduce((counts, stage) => {
+        counts[stage] = model.versions.filter(v => v.stage === stage).length;
+        return counts;
+      }, {})
+    };
+  }
+
+  // Models of `project`, or of every project when it is null
+  listModels({ project = null } = {}) {
+    return Object.values(this.store.load().models)
+      .filter(model => project === null || this.modelProject(model) === project)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(model => this.summarize(model));
+  }
+
+  // With a principal, models of projects it can't read are reported as not
+  // registered, so their names aren't revealed to other projects
+  getModel(name, { principal = null } = {}) {
+    const model = this.store.load().models[name];
+    if (!model || (principal && !projectService.canAccess(principal.project ?? null, this.modelProject(model), 'read'))) {
+      throw new ServiceError(`Model "${name}" is not registered`, 404);
+    }
+    return model;
+  }
+
+  getVersion(name, version, { principal = null } = {}) {
+    const entry = this.getModel(name, { principal }).versions.find(v => v.version === version);
+    if (!entry) {
+      throw new ServiceError(`Version ${version} of "${name}" is not registered`, 404);
+    }
+    return entry;
+  }
+
+  listVersions(name, { stage, principal = null } = {}) {
+    const versions = this.getModel(name, { principal }).versions;
+    return stage ? versions.filter(v => v.stage === stage) : versions;
+  }
+
+  // The project a model belongs to. Models registered before that was
+  // recorded take the project of their first version's pin.
+  modelProject(model) {
+    if (model.project) return model.project;
+    const first = model.versions[0];
+    return (first && this.projectOf(first.ipfsHash)) || projectService.defaultProject;
+  }
+
+  // Without a principal (internal callers) nothing is checked
+  assertCanWrite(principal, name, project) {
+    if (principal && !projectService.canAccess(principal.project ?? null, project, 'write')) {
+      throw new ServiceError(`Model "${name}" belongs to project "${project}"; this key has no write access to it`, 403);
+    }
+  }
+
+  async registerVersion(name, { version, ipfsHash, parentVersion, stage = 'none', description, metadata = {} }, { principal = null } = {}) {
+    if (!NAME_PATTERN.test(name || '')) {
+      throw new ServiceError('Model name may only contain letters, digits, ".", "_" and "-"', 400);
+    }
+    if (!parseVersion(version)) {
+      throw new ServiceError(`Version "${version}" is not a valid semantic version (e.g. 1.3.0)`, 400);
+    }
+    if (!ipfsService.isValidIPFSHash(ipfsHash)) {
+      throw new ServiceError('Invalid IPFS hash format', 400);
+    }
+    if (!STAGES.includes(stage)) {
+      throw new ServiceError(`Stage must be one of: ${STAGES.join(', ')}`, 400);
+    }
+
+    const pinStatus = await ipfsService.getPinStatus(ipfsHash);
+    if (!pinStatus.success) {
+      throw new ServiceError(`Could not check pin status: ${pinStatus.error}`, 502);
+    }
+    if (!pinStatus.pinned) {
+      throw new ServiceError(`${ipfsHash} is not pinned`, 400);
+    }
+
+    const pinProject = pinStatus.data.keyvalues.project || projectService.defaultProject;
+    const existing = this.store.load().models[name];
+    const project = existing ? this.modelProject(existing) : pinProject;
+    this.assertCanWrite(principal, name, project);
+    if (pinProject !== project) {
+      throw new ServiceError(`${ipfsHash} is pinned in project "${pinProject}", but "${name}" belongs to project "${project}"`, 400);
+    }
+
+    const { entry, changes } = await this.store.update(data => {
+      const now = new Date().toISOString();
+      const model = data.models[name] || {
+        name,
+        project,
+        description: description || '',
+        createdAt: now,
+        versions: []
+      };
+
+      model.project = model.project || project;
+
+      if (model.versions.some(v => v.version === version)) {
+        throw new ServiceError(`Version ${version} of "${name}" is already registered`, 409);
+      }
+
+      // Lineage defaults to the highest version registered so far
+      const parent = parentVersion !== undefined
+        ? parentVersion
+        : (model.versions[model.versions.length - 1]?.version || null);
+
+      if (parent && !model.versions.some(v => v.version === parent)) {
+        throw new ServiceError(`Parent version ${parent} of "${name}" is not registered`, 400);
+      }
+
+      const newVersion = {
+        version,
+        ipfsHash,
+        parentVersion: parent,
+        stage: 'none',
+        metadata,
+        registeredAt: now,
+        stageHistory: [{ stage: 'none', at: now }]
+      };
+
+      model.versions.push(newVersion);
+      model.versions.sort((a, b) => compareVersions(a.version, b.version));
+      model.updatedAt = now;
+      data.models[name] = model;
+
+      const changes = stage !== 'none' ? this.applyStage(model, newVersion, stage, now) : [];
+      return { entry: newVersion, changes };
+    });
+
+    console.log(`📚 Registered ${name}@${version} -> ${ipfsHash}`);
+    eventBus.publish('model.registered', {
+      name,
+      version,
+      ipfsHash,
+      parentVersion: entry.parentVersion
+    }, { project });
+    this.publishChanges(name, changes);
+    return entry;
+  }
+
+  // Only one version of a model can be in production; the previous one is archived
+  applyStage(model, entry, stage, now) {
+    const changes = [];
+
+    if (stage === 'production') {
+      model.versions
+        .filter(v => v.stage === 'production' && v.version !== entry.version)
+        .forEach(previous => {
+          previous.stage = 'archived';
+          previous.stageHistory.push({ stage: 'archived', at: now, reason: `superseded by ${entry.version}` });
+          changes.push({ version: previous.version, from: 'production', to: 'archived' });
+        });
+    }
+
+    changes.unshift({ version: entry.version, from: entry.stage, to: stage });
+    entry.stage = stage;
+    entry.stageHistory.push({ stage, at: now });
+    model.updatedAt = now;
+
+    return changes;
+  }
+
+  async setStage(name, version, stage, { principal = null } = {}) {
+    if (!STAGES.includes(stage)) {
+      throw new ServiceError(`Stage must be one of: ${STAGES.join(', ')}`, 400);
+    }
+    const existing = this.store.load().models[name];
+    if (existing) this.assertCanWrite(principal, name, this.modelProject(existing));
+
+    const result = await this.store.update(data => {
+      const model = data.models[name];
+      const entry = model && model.versions.find(v => v.version === version);
+      if (!entry) {
+        throw new ServiceError(`Version ${version} of "${name}" is not registered`, 404);
+      }
+
+      if (entry.stage === stage) {
+        return { version: entry, changes: [] };
+      }
+
+      const changes = this.applyStage(model, entry, stage, new Date().toISOString());
+      return { version: entry, changes };
+    });
+
+    console.log(`🏷️  ${name}@${version} moved to ${stage}`);
+    this.publishChanges(name, result.changes);
+    return result;
+  }
+
+  // The project on a version's pin, if the pin index knows it
+  projectOf(ipfsHash) {
+    const pin = ipfsService.index.get(ipfsHash);
+    return pin ? projectService.projectOf(pin) : null;
+  }
+
+  // One lifecycle event per stage change, including versions archived by a
+  // new production version
+  publishChanges(name, changes) {
+    const model = this.store.load().models[name];
+    const versions = model?.versions || [];
+
+    changes.forEach(change => {
+      const entry = versions.find(v => v.version === change.version);
+
+      eventBus.publish(PROMOTED_STAGES.includes(change.to) ? 'model.promoted' : 'model.demoted', {
+        name,
+        version: change.version,
+        ipfsHash: entry?.ipfsHash || null,
+        from: change.from,
+        to: change.to
+      }, { project: model ? this.modelProject(model) : null });
+    });
+  }
+
+  // Registered versions by CID, e.g. to label pins with name@version and stage
+  versionsByHash() {
+    const byHash = new Map();
+
+    Object.values(this.store.load().models).forEach(model => {
+      model.versions.forEach(entry => {
+        const stagedAt = [...entry.stageHistory].reverse().find(change => change.stage === entry.stage)?.at || null;
+        const versions = byHash.get(entry.ipfsHash) || [];
+        versions.push({ name: model.name, version: entry.version, stage: entry.stage, stagedAt });
+        byHash.set(entry.ipfsHash, versions);
+      });
+    });
+
+    return byHash;
+  }
+
+  // Resolve "name", "name@latest", "name@<stage>" or "name@<version>" to a version entry
+  resolve(ref, { principal = null } = {}) {
+    const at = ref.lastIndexOf('@');
+    const name = at > 0 ? ref.slice(0, at) : ref;
+    const selector = at > 0 ? ref.slice(at + 1) : 'latest';
+    const versions = this.getModel(name, { principal }).versions;
+
+    let entry;
+    if (selector === 'latest') {
+      entry = versions.filter(v => v.stage !== 'archived').pop();
+    } else if (STAGES.includes(selector)) {
+      entry = versions.filter(v => v.stage === selector).pop();
+    } else {
+      entry = versions.find(v => v.version === selector);
+    }
+
+    if (!entry) {
+      throw new ServiceError(`Nothing matches ${name}@${selector}`, 404);
+    }
+
+    return { name, selector, ...entry };
+  }
+}
+
+// Create and export singleton instance
+const modelRegistry = new ModelRegistry();
+module.exports = modelRegistry;
@@ -0,0 +1,63 @@
+// Formatting shared by the Markdown and HTML reports (model comparisons,
+// model cards). The HTML ones are single self-contained documents: inline
+// styles, no scripts or external assets, so they can be saved or pinned as is.
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Table cells keep to one line, so pipes and newlines are escaped
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(4);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function markdownTable(headers, rows, align = []) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map((header, index) => (align[index] === 'right' ? '---:' : '---')).join(' | ')} |`,
+    ...rows.map(cells => `| ${cells.map(escapeMarkdownCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function htmlTable(headers, rows, empty = 'No changes.') {
+  return rows.length === 0
+    ? `<p>${escapeHtml(empty)}</p>`
+    : `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead><tbody>` +
+      rows.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('') +
+      '</tbody></table>';
+}
+
+// `body` is trusted HTML; escape what goes into it
+function htmlDocument(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; }
+  th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; }
+  th { background: #f4f4f4; }
+  code { background: #f4f4f4; padding: 0 0.2rem; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = { escapeHtml, escapeMarkdownCell, formatValue, markdownTable, htmlTable, htmlDocument };
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const path = require('path');
+const JsonStore = require('./jsonStore');
+const { ServiceError } = require('./errors');
+const ipfsService = require('./ipfs');
+const modelRegistry = require('./registry');
+const trashService = require('./trash');
+const projectService = require('./projects');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function modelTypeOf(file) {
+  const keyvalues = file.metadata?.keyvalues || {};
+  return keyvalues.modelType || keyvalues.type || 'unknown';
+}
+
+// Declarative retention rules that garbage-collect old model versions.
+// Pins are grouped by model name; within each group a pin survives if any
+// keep clause of the first matching rule holds for it.
+class RetentionService {
+  constructor() {
+    this.sweepIntervalMs = parseFloat(process.env.RETENTION_SWEEP_INTERVAL_MINUTES || '60') * 60 * 1000;
+    this.store = new JsonStore(
+      path.resolve(process.env.DATA_DIR || './data', 'retention.json'),
+      { rules: [], lastRun: null }
+    );
+    this.timer = null;
+  }
+
+  listRules() {
+    return this.store.load().rules;
+  }
+
+  getLastRun() {
+    return this.store.load().lastRun;
+  }
+
+  normalizeRule(input, existing = {}) {
+    const rule = {
+      ...existing,
+      match: {
+        name: input.match?.name ?? existing.match?.name ?? null,
+        modelType: input.match?.modelType ?? existing.match?.modelType ?? null
+      },
+      keepLatest: input.keepLatest ?? existing.keepLatest ?? null,
+      keepWithinDays: input.keepWithinDays ?? existing.keepWithinDays ?? null,
+      keepStages: input.keepStages ?? existing.keepStages ?? ['production'],
+      enabled: input.enabled ?? existing.enabled ?? true,
+      description: input.description ?? existing.description ?? ''
+    };
+
+    if (!rule.match.name && !rule.match.modelType) {
+      throw new ServiceError('A rule must match on name and/or modelType', 400);
+    }
+    if (rule.keepLatest !== null && !(Number.isInteger(rule.keepLatest) && rule.keepLatest >= 0)) {
+      throw new ServiceError('keepLatest must be a non-negative integer', 400);
+    }
+    if (rule.keepWithinDays !== null && !(typeof rule.keepWithinDays === 'number' && rule.keepWithinDays >= 0)) {
+      throw new ServiceError('keepWithinDays must be a non-negative number', 400);
+    }
+    if (!Array.isArray(rule.keepStages) || rule.keepStages.some(stage => !modelRegistry.stages.includes(stage))) {
+      throw new ServiceError(`keepStages must be a list of: ${modelRegistry.stages.join(', ')}`, 400);
+    }
+    if (rule.keepLatest === null && rule.keepWithinDays === null) {
+      throw new ServiceError('A rule needs keepLatest and/or keepWithinDays, otherwise it would remove everything', 400);
+    }
+
+    return rule;
+  }
+
+  async createRule(input) {
+    const rule = {
+      id: crypto.randomUUID(),
+      ...this.normalizeRule(input),
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.update(data => {
+      data.rules.push(rule);
+    });
+
+    return rule;
+  }
+
+  async updateRule(id, input) {
+    return this.store.update(data => {
+      const index = data.rules.findIndex(rule => rule.id === id);
+      if (index < 0) {
+        throw new ServiceError(`Retention rule ${id} not found`, 404);
+      }
+
+      data.rules[index] = {
+        ...this.normalizeRule(input, data.rules[index]),
+        updatedAt: new Date().toISOString()
+      };
+      return data.rules[index];
+    });
+  }
+
+  async deleteRule(id) {
+    return this.store.update(data => {
+      const index = data.rules.findIndex(rule => rule.id === id);
+      if (index < 0) {
+        throw new ServiceError(`Retention rule ${id} not found`, 404);
+      }
+      return data.rules.splice(index, 1)[0];
+    });
+  }
+
+  matches(rule, file) {
+    if (rule.match.name && !wildcardToRegExp(rule.match.name).test(file.name || '')) return false;
+    if (rule.match.modelType && rule.match.modelType !== modelTypeOf(file)) return false;
+    return true;
+  }
+
+  // CIDs currently in one of the given registry stages
+  protectedHashes(stages) {
+    const hashes = new Set();
+    modelRegistry.listModels().forEach(model => {
+      modelRegistry.listVersions(model.name)
+        .filter(version => stages.includes(version.stage))
+        .forEach(version => hashes.add(version.ipfsHash));
+    });
+    return hashes;
+  }
+
+  // Work out what the current rules would remove, without touching anything
+  async plan() {
+    const rules = this.listRules().filter(rule => rule.enabled);
+    const pinned = await ipfsService.listPinnedFiles(Infinity);
+
+    if (!pinned.success) {
+      throw new ServiceError(`Failed to list pinned files: ${pinned.error}`, 502);
+    }
+
+    const trashed = trashService.trashedHashes();
+    const groups = new Map();
+
+    pinned.rows
+      .filter(file => !trashed.has(file.ipfs_pin_hash))
+      .forEach(file => {
+        const rule = rules.find(candidate => this.matches(candidate, file));
+        if (!rule) return;
+
+        // Rules are service-wide, but each project keeps its own latest versions
+        const key = `${rule.id}:${projectService.projectOf(file)}:${file.name}`;
+        if (!groups.has(key)) groups.set(key, { rule, files: [] });
+        groups.get(key).files.push(file);
+      });
+
+    const now = Date.now();
+    const remove = [];
+    const keep = [];
+
+    groups.forEach(({ rule, files }) => {
+      const staged = this.protectedHashes(rule.keepStages);
+
+      files
+        .sort((a, b) => new Date(b.date_pinned) - new Date(a.date_pinned))
+        .forEach((file, index) => {
+          const reasons = [];
+          if (rule.keepLatest !== null && index < rule.keepLatest) reasons.push(`latest ${rule.keepLatest}`);
+          if (rule.keepWithinDays !== null && now - new Date(file.date_pinned).getTime() <= rule.keepWithinDays * DAY_MS) {
+            reasons.push(`uploaded within ${rule.keepWithinDays} days`);
+          }
+          if (staged.has(file.ipfs_pin_hash)) reasons.push(`stage: ${rule.keepStages.join('/')}`);
+
+          const item = {
+            ipfsHash: file.ipfs_pin_hash,
+            name: file.name,
+            version: file.metadata?.keyvalues?.version || null,
+            modelType: modelTypeOf(file),
+            uploadedAt: file.date_pinned,
+            size: file.size || 0,
+            project: projectService.projectOf(file),
+            ruleId: rule.id
+          };
+
+          if (reasons.length > 0) keep.push({ ...item, reasons });
+          else remove.push(item);
+        });
+    });
+
+    return {
+      rulesEvaluated: rules.length,
+      remove,
+      keep,
+      reclaimableBytes: remove.reduce((sum, item) => sum + item.size, 0)
+    };
+  }
+
+  async run() {
+    const plan = await this.plan();
+    const results = [];
+
+    for (const item of plan.remove) {
+      const result = await ipfsService.unpinFile(item.ipfsHash);
+      results.push({ ...item, success: result.success, error: result.error });
+    }
+
+    const summary = {
+      ranAt: new Date().toISOString(),
+      removed: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      reclaimedBytes: results.filter(r => r.success).reduce((sum, r) => sum + r.size, 0)
+    };
+
+    await this.store.update(data => {
+      data.lastRun = summary;
+    });
+
+    if (results.length > 0) {
+      console.log(`🧹 Retention sweep removed ${summary.removed} pins (${summary.failed} failed)`);
+    }
+
+    return { ...summary, results, kept: plan.keep.length };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      if (!this.listRules().some(rule => rule.enabled)) return;
+      this.run().catch(error => console.error('❌ Retention sweep failed:', error.message));
+    }, this.sweepIntervalMs);
+    this.timer.unref();
+  }
+}
+
+// Create and export singleton instance
+const retentionService = new RetentionService();
+module.exports = retentionService;
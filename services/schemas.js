@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { ServiceError } = require('./errors');
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+// Schema files are named <name>.v<version>.json
+const FILE_PATTERN = /^([a-z0-9-]+)\.v(\d+)\.json$/;
+
+// Turn an Ajv error into a JSON Pointer to the offending field and a message
+function describeError(error) {
+  let pointer = error.instancePath;
+  if (error.keyword === 'required') pointer += `/${error.params.missingProperty}`;
+  if (error.keyword === 'additionalProperties') pointer += `/${error.params.additionalProperty}`;
+
+  const message = error.keyword === 'additionalProperties'
+    ? 'is not an allowed field'
+    : error.keyword === 'required' ? 'is required' : error.message;
+
+  return { path: pointer || '/', message, keyword: error.keyword };
+}
+
+// Versioned JSON Schemas for request bodies, loaded from schemas/. Requests
+// are validated against the latest version of a schema, and the version is
+// recorded with what gets stored so older packages stay interpretable.
+class SchemaService {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, strict: true, allowUnionTypes: true });
+    this.schemas = {};
+
+    fs.readdirSync(SCHEMA_DIR).forEach(file => {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) return;
+
+      const [, name, version] = match;
+      const schema = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'));
+      this.schemas[name] = this.schemas[name] || {};
+      this.schemas[name][version] = {
+        id: `${name}@${version}`,
+        name,
+        version: parseInt(version),
+        schema,
+        validate: this.ajv.compile(schema)
+      };
+    });
+  }
+
+  get(name, version) {
+    const versions = this.schemas[name];
+    if (!versions) {
+      throw new ServiceError(`Unknown schema "${name}"`, 404);
+    }
+
+    const wanted = version || Math.max(...Object.keys(versions).map(Number));
+    if (!versions[wanted]) {
+      throw new ServiceError(`Schema "${name}" has no version ${version}`, 404);
+    }
+    return versions[wanted];
+  }
+
+  list() {
+    return Object.values(this.schemas).map(versions => {
+      const entries = Object.values(versions).sort((a, b) => a.version - b.version);
+      return {
+        name: entries[0].name,
+        title: entries[0].schema.title,
+        description: entries[0].schema.description,
+        versions: entries.map(entry => entry.version),
+        latest: entries[entries.length - 1].id
+      };
+    });
+  }
+
+  // Returns the id of the schema version `body` matched, or throws a 422
+  // ServiceError whose details list every invalid field
+  validate(name, body) {
+    const entry = this.get(name);
+
+    if (!entry.validate(body)) {
+      throw new ServiceError(
+        `Request body does not match schema ${entry.id}`,
+        422,
+        { schema: entry.id, errors: entry.validate.errors.map(describeError) }
+      );
+    }
+
+    return entry.id;
+  }
+}
+
+// Create and export singleton instance
+const schemaService = new SchemaService();
+module.exports = schemaService;
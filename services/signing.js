@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./jsonStore');
+const { ServiceError } = require('./errors');
+
+const MANIFEST_VERSION = 1;
+
+const KEY_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+// Pin keyvalues a manifest vouches for. Encryption keyvalues are left out:
+// key rotation rewrites them without changing the content.
+const SIGNED_KEYVALUES = ['version', 'type', 'accuracy', 'project', 'format'];
+
+// provenance.status values; only 'verified' passes the strict policy
+const STATUSES = ['verified', 'unsigned', 'untrusted', 'invalid'];
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+// Ed25519 signatures over a manifest for every stored package:
+//
+//   { manifestVersion, cid, digest: { algorithm, value }, metadata: { name, ...keyvalues },
+//     signer: { keyId, service }, signedAt }
+//
+// The digest is the SHA-256 of the bytes as pinned (for directories, of the
+// sorted path/CID list of their files). Signatures are kept next to the
+// trust store in DATA_DIR/signatures.json, not in pin metadata, so nobody
+// who can edit keyvalues at the provider can forge or strip them.
+//
+// The trust store (TRUST_STORE_FILE, default DATA_DIR/trust-store.json)
+// holds the signing keys. The active key signs new packages; older keys
+// still verify what they signed until they are revoked, after which those
+// signatures report as untrusted. Like the keyring, back it up: losing it
+// turns every model unsigned.
+class SigningService {
+  constructor() {
+    this.statuses = STATUSES;
+    this.strictByDefault = (process.env.PROVENANCE_STRICT || 'false').toLowerCase() === 'true';
+    this.trustStore = new JsonStore(
+      path.resolve(process.env.TRUST_STORE_FILE || path.join(process.env.DATA_DIR || './data', 'trust-store.json')),
+      { activeKeyId: null, keys: {} }
+    );
+    this.signatures = new JsonStore(
+      path.resolve(process.env.DATA_DIR || './data', 'signatures.json'),
+      { signatures: {} }
+    );
+  }
+
+  async saveTrustStore(mutator) {
+    const result = await this.trustStore.update(mutator);
+    await fs.promises.chmod(this.trustStore.filePath, 0o600);
+    return result;
+  }
+
+  listKeys() {
+    const { activeKeyId, keys } = this.trustStore.load();
+
+    return Object.values(keys)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(({ privateKey, ...key }) => ({
+        ...key,
+        active: key.id === activeKeyId,
+        trusted: !key.revokedAt
+      }));
+  }
+
+  // Generate a key pair and make it the one new packages are signed with
+  async createKey({ id } = {}) {
+    const keyId = id || `sk-${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+    if (!KEY_ID_PATTERN.test(keyId)) {
+      throw new ServiceError('Key id must be 1-64 letters, digits, ".", "-" or "_"', 400);
+    }
+    if (this.trustStore.load().keys[keyId]) {
+      throw new ServiceError(`Signing key "${keyId}" already exists`, 409);
+    }
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+    await this.saveTrustStore(data => {
+      data.keys[keyId] = {
+        id: keyId,
+        algorithm: 'ed25519',
+        publicKey: publicPem,
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        fingerprint: sha256(publicKey.export({ type: 'spki', format: 'der' })).slice(0, 32),
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+      };
+      data.activeKeyId = keyId;
+    });
+
+    console.log(`✍️  Signing key ${keyId} created and activated`);
+    return this.listKeys().find(key => key.id === keyId);
+  }
+
+  // Stop trusting a key, e.g. after it leaked. What it signed verifies as
+  // untrusted from now on; the active key has to be replaced first.
+  async revokeKey(keyId, { reason = null } = {}) {
+    const { activeKeyId, keys } = this.trustStore.load();
+    if (!keys[keyId]) {
+      throw new ServiceError(`Signing key "${keyId}" not found`, 404);
+    }
+    if (keyId === activeKeyId) {
+      throw new ServiceError(`Signing key "${keyId}" is active; create a new key first`, 409);
+    }
+    if (keys[keyId].revokedAt) {
+      throw new ServiceError(`Signing key "${keyId}" is already revoked`, 409);
+    }
+
+    await this.saveTrustStore(data => {
+      data.keys[keyId].revokedAt = new Date().toISOString();
+      data.keys[keyId].revokedReason = reason;
+    });
+
+    return this.listKeys().find(key => key.id === keyId);
+  }
+
+  async activeKey() {
+    const { activeKeyId, keys } = this.trustStore.load();
+    if (activeKeyId) return keys[activeKeyId];
+
+    const key = await this.createKey();
+    return this.trustStore.load().keys[key.id];
+  }
+
+  // Digest of a directory package: its files' paths and CIDs, in path order
+  directoryDigest(files) {
+    const listing = [...files]
+      .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))
+      .map(file => `${file.path}\t${file.cid}\n`)
+      .join('');
+    return sha256(listing);
+  }
+
+  contentDigest(content) {
+    return sha256(content);
+  }
+
+  // Sign and record the manifest of a package that was just pinned.
+  // `digest` is a hex SHA-256 from contentDigest() or directoryDigest().
+  async sign({ cid, digest, name, keyvalues = {} }) {
+    const key = await this.activeKey();
+
+    const metadata = { name: name || null };
+    SIGNED_KEYVALUES.forEach(field => {
+      if (keyvalues[field] !== undefined) metadata[field] = keyvalues[field];
+    });
+
+    const manifest = {
+      manifestVersion: MANIFEST_VERSION,
+      cid,
+      digest: { algorithm: 'sha256', value: digest },
+      metadata,
+      signer: { keyId: key.id, service: 'retail-ml-ipfs-service' },
+      signedAt: new Date().toISOString()
+    };
+    const signature = crypto.sign(null, Buffer.from(JSON.stringify(manifest)), key.privateKey).toString('base64');
+
+    await this.signatures.update(data => {
+      data.signatures[cid] = { manifest, signature };
+    });
+
+    return this.verify(cid);
+  }
+
+  // The provenance block of `cid`. Content fetched by CID is already checked
+  // against the CID, which the manifest binds; with `pin` (the indexed pin),
+  // the signed metadata is also compared with the pin's current name and
+  // keyvalues, which anyone with provider access can change.
+  verify(cid, { pin = null } = {}) {
+    const record = this.signatures.load().signatures[cid];
+    if (!record) {
+      return { status: 'unsigned', cid, reason: 'No signature is recorded for this CID' };
+    }
+
+    const { manifest, signature } = record;
+    const key = this.trustStore.load().keys[manifest.signer?.keyId];
+    const base = { cid, manifest, signature, signer: manifest.signer, signedAt: manifest.signedAt };
+
+    if (!key) {
+      return { ...base, status: 'untrusted', reason: `Signing key "${manifest.signer?.keyId}" is not in the trust store` };
+    }
+
+    let valid = false;
+    try {
+      valid = crypto.verify(null, Buffer.from(JSON.stringify(manifest)), key.publicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) {
+      return { ...base, status: 'invalid', reason: 'Signature does not match the manifest' };
+    }
+    if (manifest.cid !== cid) {
+      return { ...base, status: 'invalid', reason: `Manifest was signed for ${manifest.cid}` };
+    }
+
+    if (pin) {
+      const current = { name: pin.metadata?.name || null, ...(pin.metadata?.keyvalues || {}) };
+      const changed = Object.keys(manifest.metadata).filter(field => String(current[field]) !== String(manifest.metadata[field]));
+      if (changed.length > 0) {
+        return {
+          ...base,
+          status: 'invalid',
+          reason: `Pin metadata differs from the signed manifest: ${changed.join(', ')}`,
+          changed: Object.fromEntries(changed.map(field => [field, { signed: manifest.metadata[field], current: current[field] ?? null }]))
+        };
+      }
+    }
+
+    if (key.revokedAt) {
+      return { ...base, status: 'untrusted', reason: `Signing key "${key.id}" was revoked at ${key.revokedAt}` };
+    }
+
+    return { ...base, status: 'verified', metadataChecked: !!pin };
+  }
+
+  // Strict when PROVENANCE_STRICT=true or the consumer asks for it
+  // (X-Provenance-Policy: strict, or ?provenance=strict)
+  isStrict(req) {
+    if (this.strictByDefault) return true;
+    return (req.get('x-provenance-policy') || req.query.provenance || '').toLowerCase() === 'strict';
+  }
+
+  // The 403 ServiceError strict consumers get for anything but a verified package
+  assertServable(provenance, strict) {
+    if (!strict || provenance.status === 'verified') return;
+
+    throw new ServiceError(
+      `Refusing to serve ${provenance.cid} under the strict provenance policy: ${provenance.status} (${provenance.reason})`,
+      403,
+      { provenance }
+    );
+  }
+}
+
+// Create and export singleton instance
+const signingService = new SigningService();
+module.exports = signingService;
@@ -0,0 +1,177 @@
+const path = require('path');
+const JsonStore = require('./jsonStore');
+const { ServiceError } = require('./errors');
+const ipfsService = require('./ipfs');
+const projectService = require('./projects');
+
+// Soft-delete for pinned models. A deleted model is first moved to the trash,
+// where it is hidden from listings but still pinned; it is only unpinned once
+// its grace period has passed (or when purged explicitly).
+class TrashService {
+  constructor() {
+    this.retentionHours = parseFloat(process.env.TRASH_RETENTION_HOURS || '72');
+    this.sweepIntervalMs = parseFloat(process.env.TRASH_SWEEP_INTERVAL_MINUTES || '15') * 60 * 1000;
+    this.store = new JsonStore(
+      path.resolve(process.env.DATA_DIR || './data', 'trash.json'),
+      { entries: {} }
+    );
+    this.timer = null;
+  }
+
+  isTrashed(ipfsHash) {
+    return this.store.load().entries[ipfsHash]?.status === 'trashed';
+  }
+
+  trashedHashes() {
+    return new Set(
+      Object.values(this.store.load().entries)
+        .filter(entry => entry.status === 'trashed')
+        .map(entry => entry.ipfsHash)
+    );
+  }
+
+  // Entries made before they recorded a project take the one on the pin
+  projectOf(entry) {
+    if (entry.project) return entry.project;
+    const pin = ipfsService.index.get(entry.ipfsHash);
+    return pin ? projectService.projectOf(pin) : projectService.defaultProject;
+  }
+
+  // Entries of `project`, or of every project when it is null
+  list({ status = 'trashed', project = null } = {}) {
+    return Object.values(this.store.load().entries)
+      .filter(entry => status === 'all' || entry.status === status)
+      .filter(entry => project === null || this.projectOf(entry) === project)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  }
+
+  get(ipfsHash) {
+    const entry = this.store.load().entries[ipfsHash];
+    if (!entry) {
+      throw new ServiceError(`${ipfsHash} has never been deleted`, 404);
+    }
+    return entry;
+  }
+
+  async trash(ipfsHash, { reason } = {}) {
+    if (this.isTrashed(ipfsHash)) {
+      throw new ServiceError(`${ipfsHash} is already in the trash`, 409);
+    }
+
+    const pinStatus = await ipfsService.getPinStatus(ipfsHash);
+    if (!pinStatus.success) {
+      throw new ServiceError(`Could not check pin status: ${pinStatus.error}`, 502);
+    }
+    if (!pinStatus.pinned) {
+      throw new ServiceError(`${ipfsHash} is not pinned`, 404);
+    }
+
+    const now = new Date();
+    const purgeAfter = new Date(now.getTime() + this.retentionHours * 60 * 60 * 1000);
+
+    const entry = await this.store.update(data => {
+      const previous = data.entries[ipfsHash];
+      data.entries[ipfsHash] = {
+        ipfsHash,
+        name: pinStatus.data.name,
+        size: pinStatus.data.size,
+        project: pinStatus.data.keyvalues.project || projectService.defaultProject,
+        status: 'trashed',
+        reason: reason || null,
+        trashedAt: now.toISOString(),
+        purgeAfter: purgeAfter.toISOString(),
+        updatedAt: now.toISOString(),
+        history: [
+          ...(previous ? previous.history : []),
+          { action: 'delete', at: now.toISOString(), reason: reason || null }
+        ]
+      };
+      return data.entries[ipfsHash];
+    });
+
+    console.log(`🗑️  Moved ${ipfsHash} to trash (purge after ${entry.purgeAfter})`);
+    return entry;
+  }
+
+  async restore(ipfsHash) {
+    const entry = this.get(ipfsHash);
+    if (entry.status !== 'trashed') {
+      throw new ServiceError(`${ipfsHash} is ${entry.status} and cannot be restored`, 409);
+    }
+
+    const restored = await this.store.update(data => {
+      const now = new Date().toISOString();
+      const current = data.entries[ipfsHash];
+      current.status = 'restored';
+      current.purgeAfter = null;
+      current.updatedAt = now;
+      current.history.push({ action: 'restore', at: now });
+      return current;
+    });
+
+    console.log(`♻️  Restored ${ipfsHash} from trash`);
+    return restored;
+  }
+
+  async purge(ipfsHash, { force = false } = {}) {
+    const entry = this.get(ipfsHash);
+    if (entry.status !== 'trashed') {
+      throw new ServiceError(`${ipfsHash} is ${entry.status}; only trashed models can be purged`, 409);
+    }
+    if (!force && new Date(entry.purgeAfter) > new Date()) {
+      throw new ServiceError(`${ipfsHash} is within its grace period until ${entry.purgeAfter}`, 409);
+    }
+
+    const unpinResult = await ipfsService.unpinFile(ipfsHash);
+    if (!unpinResult.success) {
+      throw new ServiceError(`Failed to unpin ${ipfsHash}: ${unpinResult.error}`, 502);
+    }
+
+    const purged = await this.store.update(data => {
+      const now = new Date().toISOString();
+      const current = data.entries[ipfsHash];
+      current.status = 'purged';
+      current.purgedAt = now;
+      current.updatedAt = now;
+      current.history.push({ action: 'purge', at: now, forced: force });
+      return current;
+    });
+
+    console.log(`🔥 Purged ${ipfsHash}`);
+    return purged;
+  }
+
+  // Unpin everything (of `project`, if given) whose grace period has expired
+  async purgeExpired({ project = null } = {}) {
+    const now = new Date();
+    const expired = this.list({ project }).filter(entry => new Date(entry.purgeAfter) <= now);
+    const results = [];
+
+    for (const entry of expired) {
+      try {
+        results.push({ ipfsHash: entry.ipfsHash, success: true, entry: await this.purge(entry.ipfsHash) });
+      } catch (error) {
+        console.error(`❌ Failed to purge ${entry.ipfsHash}:`, error.message);
+        results.push({ ipfsHash: entry.ipfsHash, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    const sweep = () => {
+      this.purgeExpired().catch(error => console.error('❌ Trash sweep failed:', error.message));
+    };
+
+    sweep();
+    this.timer = setInterval(sweep, this.sweepIntervalMs);
+    this.timer.unref();
+  }
+}
+
+// Create and export singleton instance
+const trashService = new TrashService();
+module.exports = trashService;
@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const JsonStore = require('./jsonStore');
+const { ServiceError } = require('./errors');
+const eventBus = require('./events');
+
+// Finished deliveries kept for the history endpoint; pending and dead ones
+// are always kept
+const HISTORY_LIMIT = parseInt(process.env.WEBHOOK_HISTORY_LIMIT || '1000');
+
+// Stored response bodies are cut to this many characters
+const RESPONSE_EXCERPT = 500;
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Outgoing webhooks for the events on the event bus. Each subscription has
+// its own secret, and every delivery is a JSON POST of the event with
+//
+//   X-Webhook-Id:        the delivery id (the same on every retry)
+//   X-Webhook-Event:     the event type
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Receivers should recompute the HMAC with their secret and reject old
+// timestamps. A delivery that gets no 2xx response is retried with
+// exponential backoff (WEBHOOK_RETRY_BASE_SECONDS, doubling) until
+// WEBHOOK_MAX_ATTEMPTS, after which it is dead-lettered and can be
+// redelivered by hand. Pending deliveries survive a restart.
+class WebhookService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+    this.retryBaseMs = parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS || '10') * 1000;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000');
+    this.store = new JsonStore(
+      path.resolve(process.env.DATA_DIR || './data', 'webhooks.json'),
+      { subscriptions: {}, deliveries: {} }
+    );
+    this.unsubscribe = null;
+  }
+
+  // Subscriptions hold secrets in plaintext (they are needed to sign), so
+  // the file is kept private like the keyring
+  async save(mutator) {
+    const result = await this.store.update(mutator);
+    await fs.promises.chmod(this.store.filePath, 0o600);
+    return result;
+  }
+
+  describe(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+  }
+
+  // Subscriptions of `project`, or all of them when project is null
+  list({ project = null } = {}) {
+    return Object.values(this.store.load().subscriptions)
+      .filter(subscription => project === null || subscription.project === project)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(subscription => this.describe(subscription));
+  }
+
+  get(id, { project = null } = {}) {
+    const subscription = this.store.load().subscriptions[id];
+    if (!subscription || (project !== null && subscription.project !== project)) {
+      throw new ServiceError(`Webhook ${id} not found`, 404);
+    }
+    return subscription;
+  }
+
+  // Subscriptions with a project only receive that project's events; the
+  // secret is only ever returned here
+  async create({ url, events, description = '' } = {}, { project = null, createdBy = null } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ServiceError('url must be an http(s) URL', 400);
+    }
+
+    const types = events === undefined ? ['*'] : events;
+    if (!Array.isArray(types) || types.length === 0 ||
+        types.some(type => type !== '*' && !eventBus.types.includes(type))) {
+      throw new ServiceError(`events must be a list of: *, ${eventBus.types.join(', ')}`, 400);
+    }
+
+    const subscription = {
+      id: newId('whk'),
+      url: parsed.toString(),
+      events: [...new Set(types)],
+      description,
+      project,
+      secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+      createdAt: new Date().toISOString(),
+      createdBy
+    };
+
+    await this.save(data => {
+      data.subscriptions[subscription.id] = subscription;
+    });
+
+    return { secret: subscription.secret, webhook: this.describe(subscription) };
+  }
+
+  // Pending deliveries of a deleted subscription are cancelled when they come up
+  async remove(id, scope = {}) {
+    const subscription = this.get(id, scope);
+
+    await this.save(data => {
+      delete data.subscriptions[id];
+    });
+
+    return this.describe(subscription);
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  matches(subscription, event) {
+    return (subscription.project === null || subscription.project === event.project) &&
+      (subscription.events.includes('*') || subscription.events.includes(event.type));
+  }
+
+  // Event bus subscriber: one delivery per matching subscription
+  async enqueue(event) {
+    const subscriptions = Object.values(this.store.load().subscriptions)
+      .filter(subscription => this.matches(subscription, event));
+    if (subscriptions.length === 0) return [];
+
+    const now = new Date().toISOString();
+    const deliveries = subscriptions.map(subscription => ({
+      id: newId('dlv'),
+      webhookId: subscription.id,
+      url: subscription.url,
+      event,
+      status: 'pending',
+      attempts: [],
+      createdAt: now,
+      nextAttemptAt: now
+    }));
+
+    await this.save(data => {
+      deliveries.forEach(delivery => {
+        data.deliveries[delivery.id] = delivery;
+      });
+    });
+
+    deliveries.forEach(delivery => this.schedule(delivery.id, 0));
+    return deliveries;
+  }
+
+  schedule(id, delayMs) {
+    const timer = setTimeout(() => {
+      this.attempt(id).catch(error => console.error(`❌ Webhook delivery ${id} failed:`, error.message));
+    }, delayMs);
+    timer.unref();
+  }
+
+  backoffMs(attempt) {
+    return this.retryBaseMs * 2 ** (attempt - 1);
+  }
+
+  async attempt(id) {
+    const delivery = this.store.load().deliveries[id];
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const subscription = this.store.load().subscriptions[delivery.webhookId];
+    if (!subscription) {
+      await this.save(data => {
+        data.deliveries[id].status = 'cancelled';
+        data.deliveries[id].nextAttemptAt = null;
+      });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), status: null, error: null, durationMs: null };
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'retail-ml-ipfs-service-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Signature': `t=${timestamp},v1=${this.sign(subscription.secret, timestamp, body)}`
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      attempt.status = response.status;
+      attempt.response = String(response.data || '').slice(0, RESPONSE_EXCERPT);
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.code || error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    const updated = await this.save(data => {
+      const current = data.deliveries[id];
+      current.attempts.push(attempt);
+
+      if (!attempt.error) {
+        current.status = 'delivered';
+        current.deliveredAt = new Date().toISOString();
+        current.nextAttemptAt = null;
+      } else if (current.attempts.length >= this.maxAttempts) {
+        current.status = 'dead';
+        current.deadAt = new Date().toISOString();
+        current.nextAttemptAt = null;
+      } else {
+        current.nextAttemptAt = new Date(Date.now() + this.backoffMs(current.attempts.length)).toISOString();
+      }
+
+      this.prune(data);
+      return { ...current };
+    });
+
+    if (updated.status === 'pending') {
+      this.schedule(id, new Date(updated.nextAttemptAt) - Date.now());
+    } else if (updated.status === 'dead') {
+      console.warn(`⚠️  Webhook delivery ${id} to ${updated.url} dead-lettered after ${updated.attempts.length} attempts`);
+    }
+  }
+
+  // Drop the oldest delivered/cancelled deliveries beyond HISTORY_LIMIT
+  prune(data) {
+    const finished = Object.values(data.deliveries)
+      .filter(delivery => ['delivered', 'cancelled', 'redelivered'].includes(delivery.status))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    finished.slice(HISTORY_LIMIT).forEach(delivery => {
+      delete data.deliveries[delivery.id];
+    });
+  }
+
+  // Delivery history, newest first: of one webhook, or every webhook the
+  // caller can see; status narrows it (pending | delivered | dead | ...)
+  deliveries({ webhookId, status, project = null, limit = 100 } = {}) {
+    const visible = new Set(this.list({ project }).map(subscription => subscription.id));
+
+    return Object.values(this.store.load().deliveries)
+      .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+      .filter(delivery => project === null || visible.has(delivery.webhookId))
+      .filter(delivery => !status || delivery.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Send a dead-lettered delivery again as a new delivery with fresh attempts
+  async redeliver(id, { project = null } = {}) {
+    const dead = this.store.load().deliveries[id];
+    if (!dead || (project !== null && !this.list({ project }).some(subscription => subscription.id === dead.webhookId))) {
+      throw new ServiceError(`Delivery ${id} not found`, 404);
+    }
+    if (dead.status !== 'dead') {
+      throw new ServiceError(`Delivery ${id} is ${dead.status}; only dead-lettered deliveries can be redelivered`, 409);
+    }
+    this.get(dead.webhookId);
+
+    const delivery = {
+      id: newId('dlv'),
+      webhookId: dead.webhookId,
+      url: this.store.load().subscriptions[dead.webhookId].url,
+      event: dead.event,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString(),
+      redeliveryOf: dead.id
+    };
+
+    await this.save(data => {
+      data.deliveries[dead.id].status = 'redelivered';
+      data.deliveries[dead.id].redeliveredAs = delivery.id;
+      data.deliveries[delivery.id] = delivery;
+    });
+
+    this.schedule(delivery.id, 0);
+    return delivery;
+  }
+
+  // Subscribe to the event bus and resume deliveries left pending by a restart
+  start() {
+    if (this.unsubscribe) return;
+
+    this.unsubscribe = eventBus.subscribe(event => {
+      this.enqueue(event).catch(error => console.error(`❌ Failed to queue webhooks for ${event.type}:`, error.message));
+    });
+
+    Object.values(this.store.load().deliveries)
+      .filter(delivery => delivery.status === 'pending')
+      .forEach(delivery => this.schedule(delivery.id, Math.max(0, new Date(delivery.nextAttemptAt) - Date.now())));
+  }
+}
+
+// Create and export singleton instance
+const webhookService = new WebhookService();
+module.exports = webhookService;